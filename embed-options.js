@@ -0,0 +1,39 @@
+// --- Embed Options ---
+// Reads the options embed.js puts in the iframe's query string. Kept apart
+// from main.js so tests/index.html can check it.
+//
+// The Gemini proxy receives every prompt, photo and conversation, so a host
+// page (or a crafted link) may only point the book at a proxy on the book's
+// own origin or on one listed here by the site owner, e.g.
+// ['https://proxy.example.org']. Anything else is dropped.
+const EMBED_PROXY_ORIGINS = [];
+
+// The proxy URL resolved against the book's page, or null if not allowed
+function parseProxyUrl(value, pageUrl = location.href, allowedOrigins = EMBED_PROXY_ORIGINS) {
+    if (!value) return null;
+    let url;
+    try {
+        url = new URL(value, pageUrl);
+    } catch (e) {
+        return null;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    if (url.origin !== new URL(pageUrl).origin && !allowedOrigins.includes(url.origin)) {
+        console.warn("Embed proxyUrl ignored, origin not allowed:", url.origin);
+        return null;
+    }
+    return url.href;
+}
+
+function parseEmbedOptions(search, pageUrl = location.href, allowedOrigins = EMBED_PROXY_ORIGINS) {
+    const params = new URLSearchParams(search);
+    if (!params.has('embed')) return null;
+    const list = (name) => (params.get(name) || '').split(',').map(item => item.trim()).filter(Boolean);
+    return {
+        locale: params.get('locale'),
+        provider: params.get('provider'),
+        proxyUrl: parseProxyUrl(params.get('proxyUrl'), pageUrl, allowedOrigins),
+        sections: list('sections'),
+        theme: { accent: params.get('accent'), background: params.get('background') }
+    };
+}
@@ -0,0 +1,116 @@
+// --- PollinationBook Embed API ---
+// Puts the pop-up book on another site (a museum page, a school's portal):
+//
+//   <script src="https://example.org/pollination-book/embed.js"></script>
+//   <script>
+//       const book = PollinationBook.mount(document.getElementById('book'), {
+//           locale: 'en',
+//           provider: 'mock',
+//           sections: ['home', 'species'],
+//           theme: { accent: '#7FB069', background: '#0B1A12' }
+//       });
+//       // later: book.destroy();
+//   </script>
+//
+// Every mount gets its own iframe of index.html, so several books can sit on
+// one page, each with its own scene, chat and species card. They do share
+// reader state: all iframes load from the book's origin and use the same
+// localStorage, sessionStorage and IndexedDB (conversations, API key, saved
+// language, quiz results, field journal, answer cache). Changing the language
+// in one book, for example, changes what the others load next time unless
+// they were given `locale`. The options travel in the iframe's query string
+// (see parseEmbedOptions in main.js) and are never saved.
+(function () {
+    const BOOK_URL = new URL('index.html', document.currentScript.src).href;
+    const DESTROY_TIMEOUT = 2000; // ms to wait for the book to clean up before removing it anyway
+    const READY_TIMEOUT = 30000;  // ms for the book to load before `ready` gives up
+
+    function buildBookUrl(options) {
+        const url = new URL(options.src || BOOK_URL, location.href);
+        url.searchParams.set('embed', '');
+        if (options.locale) url.searchParams.set('locale', options.locale);
+        if (options.provider) url.searchParams.set('provider', options.provider);
+        if (options.proxyUrl) url.searchParams.set('proxyUrl', options.proxyUrl);
+        if (options.sections) url.searchParams.set('sections', options.sections.join(','));
+        const theme = options.theme || {};
+        if (theme.accent) url.searchParams.set('accent', theme.accent);
+        if (theme.background) url.searchParams.set('background', theme.background);
+        return url;
+    }
+
+    /**
+     * Mounts a book inside `element`; it fills the element, so give it a size.
+     *
+     * @param {HTMLElement} element - Container for the book.
+     * @param {Object} [options]
+     * @param {string} [options.locale] - 'zh-Hant' or 'en'; default is the reader's saved or browser language.
+     * @param {string} [options.provider] - AI provider: 'gemini', 'openai' or 'mock' (offline demo).
+     * @param {string} [options.proxyUrl] - Gemini proxy that adds the API key server-side. Must be on
+     *     the book's origin or listed in EMBED_PROXY_ORIGINS (embed-options.js); otherwise ignored.
+     * @param {string[]} [options.sections] - Pages to show, from 'home', 'carrier', 'knowledge',
+     *     'species', 'video' and 'team'; default ['home', 'knowledge', 'species'].
+     * @param {{accent?: string, background?: string}} [options.theme] - Hex colours, e.g. '#D4AF37'.
+     * @param {string} [options.title] - Accessible name of the iframe.
+     * @param {string} [options.src] - Book page to load; default index.html next to this script.
+     * @returns {{iframe: HTMLIFrameElement, ready: Promise<void>, destroy: function(): Promise<void>}}
+     *     `ready` resolves once the book is running, and rejects if the iframe fails to
+     *     load, the book doesn't answer within 30 seconds (CSP, 404, offline) or it is
+     *     destroyed first. destroy() stops the book inside the iframe and removes the
+     *     iframe. It touches nothing else on the host page and leaves the shared storage alone.
+     */
+    function mount(element, options = {}) {
+        if (!(element instanceof HTMLElement)) throw new TypeError("PollinationBook.mount() needs a container element");
+
+        const url = buildBookUrl(options);
+        const iframe = document.createElement('iframe');
+        iframe.src = url.href;
+        iframe.title = options.title || "Pollinator Project";
+        // Voice questions, photo capture and gyroscope parallax need these
+        iframe.allow = 'microphone; camera; gyroscope; accelerometer; fullscreen';
+        iframe.style.cssText = 'display: block; width: 100%; height: 100%; border: 0;';
+
+        let markReady;
+        let failReady;
+        let markDestroyed = null;
+        const ready = new Promise((resolve, reject) => { markReady = resolve; failReady = reject; });
+        // Settling twice is a no-op, so whichever comes first wins
+        const readyTimer = setTimeout(() => failReady(new Error("PollinationBook did not load in time")), READY_TIMEOUT);
+        ready.then(() => clearTimeout(readyTimer), () => clearTimeout(readyTimer));
+        // Hosts that never await `ready` shouldn't see an unhandled rejection
+        ready.catch(() => {});
+
+        // Messages from other frames (or other books) are ignored
+        function onMessage(event) {
+            if (event.source !== iframe.contentWindow || event.origin !== url.origin || !event.data) return;
+            if (event.data.type === 'pollination-book:ready') markReady();
+            if (event.data.type === 'pollination-book:destroyed' && markDestroyed) markDestroyed();
+        }
+        window.addEventListener('message', onMessage);
+        iframe.addEventListener('error', () => failReady(new Error("PollinationBook could not be loaded")));
+        element.appendChild(iframe);
+
+        let destroyed = null;
+        function destroy() {
+            if (destroyed) return destroyed;
+            failReady(new Error("PollinationBook was destroyed before it was ready"));
+            destroyed = new Promise(resolve => {
+                const finish = () => {
+                    clearTimeout(timer);
+                    window.removeEventListener('message', onMessage);
+                    iframe.remove();
+                    resolve();
+                };
+                const timer = setTimeout(finish, DESTROY_TIMEOUT);
+                markDestroyed = finish;
+                if (iframe.contentWindow) {
+                    iframe.contentWindow.postMessage({ type: 'pollination-book:destroy' }, url.origin);
+                }
+            });
+            return destroyed;
+        }
+
+        return { iframe, ready, destroy };
+    }
+
+    window.PollinationBook = { mount };
+})();
@@ -1,200 +1,3247 @@
-// --- Gemini API Setup (Secured via LocalStorage) ---
+// --- Embedding ---
+// embed.js mounts the book in an iframe on another site and passes its
+// options in the query string, e.g.
+//   index.html?embed&locale=en&provider=mock&sections=home,species&accent=%23D4AF37
+// parseEmbedOptions() in embed-options.js, loaded before this file, only lets
+// through a proxy on an allowed origin. The other values are checked where
+// they are used (loadLocale, getAiSettings, isPageEnabled, applyTheme).
+// Aborting bookLifetime removes every page-level listener; see destroyBook().
+const EMBED_OPTIONS = parseEmbedOptions(location.search);
+const EMBED_DEFAULT_SECTIONS = ['home', 'knowledge', 'species'];
+const bookLifetime = new AbortController();
+
+// --- Localization (Traditional Chinese / English) ---
+// UI strings live in one catalog per locale. Static markup is tagged with
+// data-i18n (text), data-i18n-html (catalog text containing <br>),
+// data-i18n-placeholder, data-i18n-title and data-i18n-aria-label; scripts
+// call t(key, params).
+// The locale also decides which language the AI is asked to answer in.
+const LOCALE_STORAGE_KEY = "ui_locale";
+const DEFAULT_LOCALE = 'zh-Hant';
+
+const MESSAGES = {
+    'zh-Hant': {
+        'page.title': "拈花惹草：授粉者之旅 | Pollinator Project",
+        'header.localeSwitch': "EN",
+        'header.localeSwitchTitle': "Switch to English",
+        'header.settings': "AI 設定",
+        'header.apiKey': "設定 Gemini API Key",
+        'header.motion': "減少動態效果",
+        'a11y.skip': "跳至主要內容",
+        'nav.label': "主選單",
+
+        'nav.home': "首頁",
+        'nav.carrier': "關於載體",
+        'nav.knowledge': "授粉知識",
+        'nav.species': "物種檔案",
+        'nav.video': "宣傳影片",
+        'nav.team': "製作團隊",
+
+        'home.kicker': "授粉者之旅",
+        'home.tagline': "一場關於花粉傳遞<br>與知識傳遞的手冊",
+        'home.start': "開始探索",
+
+        'book.prev': "上一頁",
+        'book.next': "下一頁",
+        'book.flower-anatomy.title': "花的構造",
+        'book.flower-anatomy.caption': "花瓣招來訪客，雄蕊的花藥沾滿花粉，雌蕊的柱頭則等待另一朵花的花粉到來。",
+        'book.bee-life-cycle.title': "蜜蜂的一生",
+        'book.bee-life-cycle.caption': "從卵、幼蟲、蛹到成蜂，工蜂在六角形的巢室裡約三週完成一次蛻變。",
+        'book.nocturnal.title': "夜間的授粉者",
+        'book.nocturnal.caption': "月光下，色白而芳香的花朵等待天蛾與蝙蝠循著氣味前來。",
+
+        'pollination.counter': "已授粉花朵 {count} / {total}",
+
+        'scene.errorTitle': "場景描述有誤",
+        'scene.errorHint': "data/scene.json 未通過檢查，目前顯示內建場景。請修正以下問題：",
+        'scene.errorClose': "關閉",
+
+        'validation.type': "{path} 應為 {expected}，實際為 {actual}",
+        'validation.enum': "{path} 必須是 {options} 其中之一，實際為 {actual}",
+        'validation.emptyString': "{path} 不可為空字串",
+        'validation.pattern': "{path} 格式不符（{pattern}），實際為 {actual}",
+        'validation.integer': "{path} 應為整數，實際為 {actual}",
+        'validation.minimum': "{path} 不可小於 {minimum}，實際為 {actual}",
+        'validation.maximum': "{path} 不可大於 {maximum}，實際為 {actual}",
+        'validation.required': "{path} 為必填欄位",
+        'validation.minItems': "{path} 至少需要 {count} 個項目，實際有 {actual} 個",
+        'validation.maxItems': "{path} 最多只能有 {count} 個項目，實際有 {actual} 個",
+        'validation.notJson': "回覆不是有效的 JSON",
+        'validation.lightPosition': "{path} 為必填欄位（{type} 光源）",
+        'validation.positive': "{path} 必須大於 0，實際為 {actual}",
+        'validation.calloutLink': "{path} 需要 species 或 prompt",
+
+        'pick.close': "關閉",
+        'pick.ask': "詢問蜂巢意識",
+        'pick.bloom.title': "花朵",
+        'pick.bloom.body': "花朵用顏色、香氣與花蜜吸引授粉者。訪客在吸蜜時沾上花粉，再把它帶往下一朵花。",
+        'pick.bloom.question': "花朵如何用顏色、香氣和花蜜吸引授粉者？",
+        'pick.bee.title': "蜜蜂",
+        'pick.bee.body': "蜜蜂身上的絨毛帶有靜電，能吸附大量花粉；牠們一趟只造訪同一種花，讓授粉格外有效率。",
+        'pick.bee.question': "為什麼蜜蜂是這麼有效率的授粉者？",
+        'pick.petal.title': "花瓣",
+        'pick.petal.body': "花瓣是花朵的招牌。許多花瓣帶有人眼看不見的紫外線紋路，像跑道燈一樣引導昆蟲找到花蜜。",
+        'pick.petal.question': "花瓣上的紫外線紋路如何引導昆蟲？",
+        'pick.stamen.title': "雄蕊",
+        'pick.stamen.body': "雄蕊由花絲與花藥組成。花藥成熟後裂開釋出花粉，等待路過的授粉者把它帶走。",
+        'pick.stamen.question': "雄蕊的花藥如何產生並釋放花粉？",
+        'pick.pistil.title': "雌蕊",
+        'pick.pistil.body': "雌蕊頂端的柱頭表面黏稠，能接住花粉。花粉在柱頭上萌發，花粉管一路伸進子房完成受精。",
+        'pick.pistil.question': "花粉落在柱頭上之後，受精是怎麼發生的？",
+        'pick.egg.title': "卵",
+        'pick.egg.body': "蜂后在每個巢室產下一顆卵，約三天後孵化。受精卵會發育成工蜂或蜂后，未受精卵則成為雄蜂。",
+        'pick.egg.question': "蜂后如何決定卵會發育成工蜂、蜂后還是雄蜂？",
+        'pick.larva.title': "幼蟲",
+        'pick.larva.body': "幼蟲由工蜂餵食蜂王乳、花粉與蜂蜜，體重在幾天內增加上千倍——這就是蜜蜂採集花粉的原因之一。",
+        'pick.larva.question': "蜜蜂幼蟲吃什麼？花粉在牠們的成長中扮演什麼角色？",
+        'pick.pupa.title': "蛹",
+        'pick.pupa.body': "工蜂用蜂蠟封住巢室，幼蟲在裡面化蛹，長出翅膀、複眼與六隻腳，約十二天後咬開蠟蓋羽化。",
+        'pick.pupa.question': "蜜蜂在蛹期身體會發生哪些變化？",
+        'pick.nightFlower.title': "夜間開放的花",
+        'pick.nightFlower.body': "夜晚開放的花多半色白、香氣濃郁，花筒細長，讓天蛾和蝙蝠在黑暗中也能循味找到。",
+        'pick.nightFlower.question': "為什麼夜間開放的花大多是白色且香氣濃郁？",
+        'pick.moth.title': "天蛾",
+        'pick.moth.body': "天蛾能像蜂鳥一樣在花前懸停，用長長的口器伸進細長的花筒吸蜜，順道沾上花粉。",
+        'pick.moth.question': "天蛾如何在夜間為花朵授粉？",
+
+        'carrier.title1': "關於記憶<br>與傳遞",
+        'carrier.desc1': "這本書不僅僅是數位的呈現，它是一個關於記憶與傳遞的隱喻。透過 WebGL 技術，我們在瀏覽器中重建了紙張的纖維質感與光影的幾何關係。<br><br>每一個多邊形的蜜蜂，都象徵著自然界中微小卻不可或缺的連結。它們在虛擬的空間中飛行，如同真實世界中花粉的傳遞者，攜帶著生命的訊息。",
+        'carrier.title2': "極簡與<br>靜謐空間",
+        'carrier.desc2': "在設計上，我們採用了極簡的深色美學 (Dark Mode Aesthetics)，利用黑與金的對比，試圖在數位螢幕的強光中，為讀者開闢出一塊得以喘息、靜謐的閱讀空間。<br><br>每一個互動微動畫都經過精密計算，旨在不干擾閱讀體驗的前提下，提供一種優雅的回饋感。",
+
+        'knowledge.title': "授粉知識<br>蜂巢意識",
+        'knowledge.desc': "知識就像花粉，等待傳遞。我們串接了 Google Gemini 模型，為您打造了一個專屬的自然導覽員。<br><br>您可以隨意詢問關於授粉生態、昆蟲習性或植物學的問題。AI 將以詩意且精準的語言，為您解開大自然的奧秘。",
+        'knowledge.example1': "\"蜜蜂為什麼會跳舞？\"",
+        'knowledge.example2': "\"蝴蝶喜歡什麼顏色的花？\"",
+
+        'hive.new': "＋ 新對話",
+        'hive.clear': "清除",
+        'hive.placeholder': "請在下方輸入問題<br>喚醒蜂巢意識",
+        'hive.inputPlaceholder': "詢問關於大自然的問題...",
+        'hive.stop': "停止回答",
+        'hive.send': "送出問題",
+        'hive.conversations': "對話紀錄",
+        'hive.transcript': "蜂巢意識的對話",
+        'hive.thinking': "蜂巢意識正在思考…",
+        'hive.untitled': "新對話",
+        'hive.confirmClear': "確定要清除這段對話嗎？",
+        'hive.stopped': "（回答已停止）",
+        'hive.cached': "⟲ 快取的回答 · {date}",
+        'hive.cachedOffline': "📡 離線中，顯示先前快取的回答 · {date}",
+        'hive.cachedUnavailable': "⏳ 蜂巢意識暫時沒有回應，顯示先前快取的回答 · {date}",
+
+        'photo.hint': "拍下花朵或昆蟲，讓蜂巢意識辨識牠們的授粉關係。",
+        'photo.capture': "拍照",
+        'photo.upload': "上傳照片",
+        'photo.previewAlt': "要辨識的照片",
+        'photo.identifying': "正在辨識照片…",
+        'photo.prompt': "請作為一位自然圖鑑學家，辨識這張照片中的授粉者或花朵。\n如果照片中有授粉的動物，請為牠建立物種檔案；如果只有花朵，請為這種花最主要的授粉者建立檔案。在 description 中說明照片中的花與這位授粉者之間的授粉關係，pollinates 請列出照片中的花。\n如果照片中看不出花朵或授粉者，或是太模糊而無法確定，請不要猜測：將 identified 設為 false，並在 reason 中簡短說明原因。\n辨識成功時將 identified 設為 true，並依照指定的 JSON 結構在 species 中回傳檔案，文字欄位使用繁體中文，目與科請寫中文名與學名（如：鱗翅目 Lepidoptera）。",
+        'photo.unidentified': "無法在這張照片中辨識出花朵或授粉者。請靠近一點、對準焦距，讓花或昆蟲位於畫面中央後再試一次。",
+        'photo.readError': "無法讀取這張照片，請換一張圖片再試。",
+        'photo.save': "收錄到田野圖鑑",
+        'photo.saveError': "無法儲存到田野圖鑑。",
+
+        'voice.listen': "用說的提問",
+        'voice.stopListening': "停止聆聽",
+        'voice.listening': "🎤 正在聆聽，請說出你的問題…",
+        'voice.nothingHeard': "沒有聽到問題，請再試一次。",
+        'voice.read': "朗讀回答",
+        'voice.stopReading': "停止朗讀",
+        'voice.error.not-allowed': "無法使用麥克風，請在瀏覽器中允許麥克風權限。",
+        'voice.error.service-not-allowed': "無法使用麥克風，請在瀏覽器中允許麥克風權限。",
+        'voice.error.audio-capture': "找不到麥克風。",
+        'voice.error.network': "語音辨識需要網路連線。",
+        'voice.error.language-not-supported': "瀏覽器不支援這個語言的語音辨識。",
+        'voice.error.unknown': "語音辨識失敗，請改用鍵盤輸入。",
+        'hive.systemPrompt': "你是一位博學、語氣溫柔且充滿詩意的自然學家。請用繁體中文回答使用者的問題，並延續先前的對話脈絡。內容請聚焦於授粉、生態平衡或植物學知識。保持回答在 150 字以內，並使用 markdown 格式強調重點。",
+
+        'species.title': "物種檔案<br>資料庫",
+        'species.desc': "透過 AI 的生成能力，我們建立了一個無窮盡的物種檔案庫。<br><br>不僅止於蜜蜂與蝴蝶，這裡收錄了來自熱帶雨林到極地高山的各種珍稀授粉者。每次點擊，都是一次新的相遇。",
+        'species.explore': "探索隨機物種",
+        'species.curatedToggle': "精選模式：從內建的真實授粉者資料中探索（不需網路或 API Key）",
+        'species.waiting': "等待探索",
+        'species.waitingHint': "點擊按鈕開始生成檔案",
+        'species.loading': "正在生成物種檔案…",
+        'species.prompt': "請作為一位自然圖鑑學家，從「{category}」這個具體類別中，挑選一個真實存在、獨特且令人驚奇的授粉物種。\n請避免重複常見的物種（如普通蜜蜂），目標是讓讀者感到新奇。(隨機參數: {seed})\n請依照指定的 JSON 結構回傳該物種的檔案，文字欄位使用繁體中文，目與科請寫中文名與學名（如：鱗翅目 Lepidoptera）。",
+        'species.offlineNotice': "📡 目前離線，改為顯示精選資料",
+        'species.curatedNotice': "📚 精選資料 · {status}",
+        'species.curatedError': "無法載入精選物種資料，請重新整理頁面後再試。",
+        'species.labelCategory': "生態類別",
+        'species.labelTaxonomy': "目 / 科",
+        'species.labelStatus': "活動時間 / 保育等級",
+        'species.labelHabitat': "棲息地",
+        'species.labelPollinates': "授粉植物",
+        'species.labelDescription': "授粉特徵",
+        'list.separator': "、",
+
+        'activeTime.diurnal': "日行性",
+        'activeTime.nocturnal': "夜行性",
+        'activeTime.crepuscular': "晨昏活動",
+        'conservation.LC': "無危 (LC)",
+        'conservation.NT': "近危 (NT)",
+        'conservation.VU': "易危 (VU)",
+        'conservation.EN': "瀕危 (EN)",
+        'conservation.CR': "極危 (CR)",
+        'conservation.DD': "數據缺乏 (DD)",
+        'conservation.NE': "未評估 (NE)",
+
+        'category.rainforest-birds': "熱帶雨林的特殊鳥類 (如蜂鳥、太陽鳥)",
+        'category.nocturnal': "夜行性授粉動物 (如長舌蝠、天蛾)",
+        'category.beetles-flies': "特殊的授粉甲蟲或蒼蠅",
+        'category.non-insects': "非昆蟲類的授粉者 (如壁虎、狐猴、負鼠)",
+        'category.orchid-specialists': "蘭花的專一性授粉者 (如特殊的蜂類)",
+        'category.desert': "沙漠植物的授粉者",
+        'category.alpine-cold': "高山或寒冷地區的授粉昆蟲",
+        'category.butterflies': "色彩斑斕的蝴蝶",
+
+        'journal.title': "我的田野圖鑑",
+        'journal.search': "搜尋物種名稱或學名...",
+        'journal.searchLabel': "搜尋田野圖鑑",
+        'journal.filters': "依生態類別篩選",
+        'journal.all': "全部",
+        'journal.saved': "✓ 已收錄至田野圖鑑",
+        'journal.duplicate': "此物種已在你的圖鑑中",
+        'journal.empty': "圖鑑還是空的，探索一個物種來收錄第一筆紀錄吧。",
+        'journal.noMatch': "沒有符合條件的物種。",
+        'journal.opened': "📖 來自你的田野圖鑑",
+
+        'quiz.title': "授粉小測驗",
+        'quiz.levels': "選擇難度",
+        'quiz.level.easy': "入門",
+        'quiz.level.medium': "進階",
+        'quiz.level.hard': "挑戰",
+        'quiz.levelPrompt.easy': "入門（國小高年級程度，考基本概念）",
+        'quiz.levelPrompt.medium': "進階（國中程度，考授粉者與花的適應）",
+        'quiz.levelPrompt.hard': "挑戰（高中以上程度，考專一共生、演化與受精過程等細節）",
+        'quiz.prompt': "請作為一位自然教育老師，出 {count} 題關於授粉生態的單選題，難度：{level}。\n每題提供 4 個選項且只有一個正確答案，answer 為正確選項的索引（0-3），explanation 用一兩句話說明原因。題目需符合科學事實，避免重複。(隨機參數: {seed})\n請依照指定的 JSON 結構回傳，文字使用繁體中文。",
+        'quiz.start': "開始新一輪",
+        'quiz.intro': "每輪 {count} 題，選好難度後開始作答。",
+        'quiz.loading': "正在準備題目…",
+        'quiz.offlineNotice': "📡 目前離線，改用內建題庫",
+        'quiz.bankError': "無法載入內建題庫，請重新整理頁面後再試。",
+        'quiz.progress': "第 {number} / {total} 題 · 目前得分 {score}",
+        'quiz.correct': "✓ 答對了！",
+        'quiz.wrong': "✗ 正確答案是：{answer}",
+        'quiz.next': "下一題",
+        'quiz.results': "查看成績",
+        'quiz.score': "本輪得分 {score} / {total}",
+        'quiz.perfect': "全部答對，你是真正的授粉專家！",
+        'quiz.finished': "看看解說，再挑戰一輪吧。",
+        'quiz.again': "再玩一輪",
+        'quiz.history': "我的紀錄",
+        'quiz.noHistory': "這個難度還沒有紀錄。",
+        'quiz.stats': "共 {rounds} 輪 · 最佳 {best} · 平均 {average}%",
+        'quiz.recent': "最近的成績",
+
+        'video.title': "宣傳影片",
+        'video.desc': "透過鏡頭的捕捉，紀錄大自然中微小而不凡的瞬間。<br>垂直影像呈現，請確保您的觀看體驗。",
+        'video.unsupported': "您的瀏覽器不支援影片播放。",
+        'video.chapters': "章節",
+        'video.calloutSpecies': "查看物種卡 →",
+        'video.calloutAsk': "問問蜂巢思維 →",
+        'video.placeholderTitle': "影片暫時無法播放",
+        'video.placeholderBody': "影片檔案遺失或格式不受支援。您仍可以在「物種檔案」與「授粉知識」繼續探索。",
+
+        'team.title': "製作團隊",
+        'team.carousel': "製作團隊成員",
+        'team.prev': "上一位成員",
+        'team.next': "下一位成員",
+        'team.dots': "選擇成員",
+        'team.goTo': "第 {number} 位：{name}",
+        'team.loadError': "無法載入團隊名單",
+        'team.desc': "我們是來自朝陽科技大學視覺傳達設計系的學生，本作品隸屬於企劃模組的畢業製作。<br><br>透過跨越平面的思維，我們嘗試將設計語彙與數位科技結合，在虛擬的空間中，重新詮釋知識傳遞的溫度與可能性。",
+
+        'settings.title': "AI 設定",
+        'settings.close': "關閉",
+        'settings.provider': "模型來源",
+        'settings.providerOpenai': "OpenAI 相容端點（含本機伺服器）",
+        'settings.providerMock': "離線示範（不需網路）",
+        'settings.model': "模型名稱",
+        'settings.geminiKeyHint': "API Key 請透過右上角的鑰匙按鈕設定。",
+        'settings.openaiUrl': "伺服器位址 (Base URL)",
+        'settings.openaiKey': "API Key（本機伺服器可留空）",
+        'settings.mockNote': "使用內建的固定回答與物種資料，適合在沒有網路的展場示範。",
+        'settings.cache': "回答快取",
+        'settings.cacheCount': "已快取 {count} 則回答，保留 {days} 天",
+        'settings.cacheCleared': "快取已清除。",
+        'settings.cacheClear': "清除快取",
+        'settings.cancel': "取消",
+        'settings.save': "儲存",
+
+        'apiKey.cleared': "API Key 已清除。",
+        'apiKey.missing': "尚未設定 Gemini API Key，AI 功能將無法運作。\n是否現在設定？",
+
+        'keyDialog.title': "Gemini API Key",
+        'keyDialog.mode': "連線方式",
+        'keyDialog.modeKey': "在瀏覽器中使用 API Key",
+        'keyDialog.modeProxy': "透過本機代理伺服器（Key 不存放在瀏覽器）",
+        'keyDialog.key': "API Key",
+        'keyDialog.keyPlaceholder': "貼上新的 Key，留空則保留目前的 Key",
+        'keyDialog.current': "目前的 Key：{key}",
+        'keyDialog.none': "尚未設定 Key",
+        'keyDialog.clear': "清除 Key",
+        'keyDialog.storage': "記住 Key",
+        'keyDialog.storageSession': "只在這個分頁開啟期間",
+        'keyDialog.storageLocal': "保存在這台裝置上",
+        'keyDialog.keyNote': "Key 只會透過請求標頭傳送給 Google，不會出現在網址中。",
+        'keyDialog.proxyUrl': "代理伺服器位址",
+        'keyDialog.proxyNote': "代理伺服器需轉送至 Gemini API 並自行附上 Key。儲存後，瀏覽器中已存的 Key 會被清除。",
+        'keyDialog.proxyMissing': "請輸入代理伺服器的位址。",
+        'keyDialog.hostProxy': "這本嵌入的書使用網站提供的代理伺服器，無法在此更改。",
+        'keyDialog.test': "測試連線",
+        'keyDialog.testing': "正在測試連線…",
+        'keyDialog.testOk': "✓ 連線成功，可以開始使用 AI 功能。",
+        'keyDialog.modelNotFound': "找不到模型「{model}」，請到 AI 設定中確認模型名稱。",
+        'provider.openai': "OpenAI 相容端點",
+        'provider.openaiMissing': "尚未設定 OpenAI 相容端點的伺服器位址。\n是否現在設定？",
+        'provider.mock': "離線示範",
+
+        'aiError.invalid_key': "API Key 無效或尚未設定，請檢查後重新輸入。",
+        'aiError.rate_limit': "請求太頻繁或已達用量上限，請稍候片刻再試。",
+        'aiError.safety': "這個內容觸發了安全限制，換個方式試試看吧。",
+        'aiError.timeout': "等待回應逾時，網路可能不太穩定。",
+        'aiError.offline': "目前無法連線到網路，請確認連線狀態，或改用離線示範模式。",
+        'aiError.malformed': "AI 回傳的資料格式不正確。",
+        'aiError.unknown': "連線發生錯誤，請稍後再試。",
+        'ai.repairPrompt': "上一個回覆不符合要求的格式：\n- {problems}\n請修正後只回傳完整的 JSON。",
+        'ai.malformed': "回傳資料格式不正確：{problems}",
+
+        'action.retry': "再試一次",
+        'action.retryLater': "稍後再試一次",
+        'action.resetKey': "重新設定 Key",
+        'action.editQuestion': "修改問題",
+        'action.useMock': "改用離線示範",
+        'action.anotherSpecies': "換一個物種",
+        'action.regenerate': "重新生成",
+        'action.useQuizBank': "改用內建題庫"
+    },
+    en: {
+        'page.title': "Among the Flowers: A Pollinator's Journey | Pollinator Project",
+        'header.localeSwitch': "中文",
+        'header.localeSwitchTitle': "切換為繁體中文",
+        'header.settings': "AI settings",
+        'header.apiKey': "Set Gemini API key",
+        'header.motion': "Reduce motion",
+        'a11y.skip': "Skip to content",
+        'nav.label': "Main",
+
+        'nav.home': "Home",
+        'nav.carrier': "The Book",
+        'nav.knowledge': "Knowledge",
+        'nav.species': "Species",
+        'nav.video': "Film",
+        'nav.team': "Team",
+
+        'home.kicker': "A Pollinator's Journey",
+        'home.tagline': "A handbook on passing on pollen<br>and passing on knowledge",
+        'home.start': "Start exploring",
+
+        'book.prev': "Previous page",
+        'book.next': "Next page",
+        'book.flower-anatomy.title': "Anatomy of a Flower",
+        'book.flower-anatomy.caption': "Petals invite visitors, the anthers of the stamens are heavy with pollen, and the stigma of the pistil waits for pollen from another flower.",
+        'book.bee-life-cycle.title': "The Life of a Bee",
+        'book.bee-life-cycle.caption': "Egg, larva, pupa, adult: a worker bee completes its transformation in a hexagonal cell in about three weeks.",
+        'book.nocturnal.title': "Pollinators of the Night",
+        'book.nocturnal.caption': "By moonlight, pale and fragrant flowers wait for hawkmoths and bats to follow their scent.",
+
+        'pollination.counter': "Flowers pollinated {count} / {total}",
+
+        'scene.errorTitle': "Invalid scene description",
+        'scene.errorHint': "data/scene.json failed validation, so the built-in scene is shown. Please fix the following:",
+        'scene.errorClose': "Close",
+
+        'validation.type': "{path} should be {expected}, got {actual}",
+        'validation.enum': "{path} must be one of {options}, got {actual}",
+        'validation.emptyString': "{path} must not be an empty string",
+        'validation.pattern': "{path} does not match {pattern}, got {actual}",
+        'validation.integer': "{path} should be an integer, got {actual}",
+        'validation.minimum': "{path} must be at least {minimum}, got {actual}",
+        'validation.maximum': "{path} must be at most {maximum}, got {actual}",
+        'validation.required': "{path} is required",
+        'validation.minItems': "{path} needs at least {count} items, got {actual}",
+        'validation.maxItems': "{path} allows at most {count} items, got {actual}",
+        'validation.notJson': "The reply is not valid JSON",
+        'validation.lightPosition': "{path} is required for a {type} light",
+        'validation.positive': "{path} must be greater than 0, got {actual}",
+        'validation.calloutLink': "{path} needs species or prompt",
+
+        'pick.close': "Close",
+        'pick.ask': "Ask the Hive Mind",
+        'pick.bloom.title': "Flower",
+        'pick.bloom.body': "Flowers attract pollinators with colour, scent and nectar. Visitors pick up pollen while they feed and carry it on to the next flower.",
+        'pick.bloom.question': "How do flowers use colour, scent and nectar to attract pollinators?",
+        'pick.bee.title': "Bee",
+        'pick.bee.body': "A bee's hairs carry a static charge that holds on to pollen, and on each trip it visits only one kind of flower, which makes it a very efficient pollinator.",
+        'pick.bee.question': "Why are bees such efficient pollinators?",
+        'pick.petal.title': "Petals",
+        'pick.petal.body': "Petals are the flower's signboard. Many carry ultraviolet patterns invisible to us that guide insects to the nectar like runway lights.",
+        'pick.petal.question': "How do ultraviolet patterns on petals guide insects?",
+        'pick.stamen.title': "Stamens",
+        'pick.stamen.body': "A stamen is a filament topped by an anther. When the anther ripens it splits open and releases pollen for a passing pollinator to carry away.",
+        'pick.stamen.question': "How do the anthers of a stamen produce and release pollen?",
+        'pick.pistil.title': "Pistil",
+        'pick.pistil.body': "The sticky stigma at the tip of the pistil catches pollen. The pollen grain germinates and grows a tube down into the ovary to fertilise it.",
+        'pick.pistil.question': "What happens after pollen lands on the stigma?",
+        'pick.egg.title': "Egg",
+        'pick.egg.body': "The queen lays one egg in each cell, and it hatches after about three days. Fertilised eggs become workers or queens; unfertilised ones become drones.",
+        'pick.egg.question': "How does a queen bee determine whether an egg becomes a worker, a queen or a drone?",
+        'pick.larva.title': "Larva",
+        'pick.larva.body': "Workers feed the larva royal jelly, pollen and honey, and it grows more than a thousandfold in a few days — one reason bees collect so much pollen.",
+        'pick.larva.question': "What do bee larvae eat, and what role does pollen play in their growth?",
+        'pick.pupa.title': "Pupa",
+        'pick.pupa.body': "Workers seal the cell with wax and the larva pupates inside, growing wings, compound eyes and six legs before chewing its way out about twelve days later.",
+        'pick.pupa.question': "How does a bee's body change during the pupal stage?",
+        'pick.nightFlower.title': "Night-blooming flower",
+        'pick.nightFlower.body': "Night-blooming flowers are mostly pale and strongly scented, with long narrow tubes, so hawkmoths and bats can find them by smell in the dark.",
+        'pick.nightFlower.question': "Why are night-blooming flowers usually white and strongly scented?",
+        'pick.moth.title': "Hawkmoth",
+        'pick.moth.body': "Hawkmoths hover in front of a flower like hummingbirds, reaching into its long tube with a long proboscis and picking up pollen as they feed.",
+        'pick.moth.question': "How do hawkmoths pollinate flowers at night?",
+
+        'carrier.title1': "On memory<br>and passing on",
+        'carrier.desc1': "This book is more than a digital rendering; it is a metaphor for memory and for passing things on. With WebGL we rebuilt the fibres of paper and the geometry of light and shadow inside the browser.<br><br>Every low-poly bee stands for one of nature's small but indispensable connections. They fly through virtual space like the pollinators of the real world, carrying the messages of life.",
+        'carrier.title2': "Minimalism and<br>quiet space",
+        'carrier.desc2': "We chose a minimal dark aesthetic, setting black against gold to carve out a calm place to read amid the glare of the screen.<br><br>Every micro-animation is carefully tuned to give elegant feedback without getting in the way of reading.",
+
+        'knowledge.title': "Pollination<br>Hive Mind",
+        'knowledge.desc': "Knowledge, like pollen, is waiting to be passed on. We connected a Google Gemini model to give you a personal nature guide.<br><br>Ask anything about pollination, insect behaviour or botany, and the AI will unravel nature's mysteries in poetic yet precise language.",
+        'knowledge.example1': "\"Why do bees dance?\"",
+        'knowledge.example2': "\"Which flower colours do butterflies like?\"",
+
+        'hive.new': "＋ New chat",
+        'hive.clear': "Clear",
+        'hive.placeholder': "Type a question below<br>to wake the Hive Mind",
+        'hive.inputPlaceholder': "Ask a question about nature...",
+        'hive.stop': "Stop answering",
+        'hive.send': "Send question",
+        'hive.conversations': "Conversations",
+        'hive.transcript': "Hive Mind conversation",
+        'hive.thinking': "The Hive Mind is thinking…",
+        'hive.untitled': "New chat",
+        'hive.confirmClear': "Clear this conversation?",
+        'hive.stopped': "(Answer stopped)",
+        'hive.cached': "⟲ Cached answer · {date}",
+        'hive.cachedOffline': "📡 Offline, showing an earlier cached answer · {date}",
+        'hive.cachedUnavailable': "⏳ The Hive Mind is not responding right now, showing an earlier cached answer · {date}",
+
+        'photo.hint': "Photograph a flower or an insect and let the Hive Mind identify how they pollinate.",
+        'photo.capture': "Take photo",
+        'photo.upload': "Upload photo",
+        'photo.previewAlt': "Photo to identify",
+        'photo.identifying': "Identifying the photo…",
+        'photo.prompt': "Act as a naturalist compiling a field guide and identify the pollinator or flower in this photo.\nIf the photo shows a pollinating animal, write its species profile; if it only shows a flower, write the profile of that flower's main pollinator. In description, explain the pollination relationship between the flower in the photo and this pollinator; list the flower in the photo under pollinates.\nIf the photo shows no flower or pollinator you can recognise, or it is too unclear to be sure, do not guess: set identified to false and briefly explain why in reason.\nWhen you can identify it, set identified to true and return the profile under species in the given JSON structure, with all text fields in English; give order and family by their scientific names (e.g. Lepidoptera).",
+        'photo.unidentified': "No flower or pollinator could be identified in this photo. Move closer, focus, and keep the flower or insect in the middle of the frame, then try again.",
+        'photo.readError': "This photo could not be read. Please try another image.",
+        'photo.save': "Save to field journal",
+        'photo.saveError': "Could not save to the field journal.",
+
+        'voice.listen': "Ask by voice",
+        'voice.stopListening': "Stop listening",
+        'voice.listening': "🎤 Listening, ask your question…",
+        'voice.nothingHeard': "No question was heard. Please try again.",
+        'voice.read': "Read the answer aloud",
+        'voice.stopReading': "Stop reading",
+        'voice.error.not-allowed': "The microphone is blocked. Allow microphone access in your browser.",
+        'voice.error.service-not-allowed': "The microphone is blocked. Allow microphone access in your browser.",
+        'voice.error.audio-capture': "No microphone was found.",
+        'voice.error.network': "Speech recognition needs an internet connection.",
+        'voice.error.language-not-supported': "Your browser cannot recognise speech in this language.",
+        'voice.error.unknown': "Speech recognition failed. Please type your question instead.",
+        'hive.systemPrompt': "You are a learned naturalist with a gentle, poetic voice. Answer the user's questions in English and continue the context of the conversation. Focus on pollination, ecological balance or botany. Keep answers under 100 words and use markdown to highlight the key points.",
+
+        'species.title': "Species<br>Archive",
+        'species.desc': "Using generative AI, we built an endless archive of species.<br><br>Beyond bees and butterflies, it holds rare pollinators from tropical rainforests to polar mountains. Every click is a new encounter.",
+        'species.explore': "Discover a random species",
+        'species.curatedToggle': "Curated mode: explore the bundled dataset of real pollinators (no internet or API key needed)",
+        'species.waiting': "Awaiting discovery",
+        'species.waitingHint': "Press the button to generate a profile",
+        'species.loading': "Generating a species profile…",
+        'species.prompt': "Act as a naturalist compiling a field guide. From the specific category \"{category}\", choose one real, unusual and surprising pollinator.\nAvoid common species (such as the honey bee); the goal is to surprise the reader. (Random seed: {seed})\nReturn the species profile in the given JSON structure, with all text fields in English; give order and family by their scientific names (e.g. Lepidoptera).",
+        'species.offlineNotice': "📡 You are offline, showing curated data instead",
+        'species.curatedNotice': "📚 Curated · {status}",
+        'species.curatedError': "The curated species data could not be loaded. Please reload the page and try again.",
+        'species.labelCategory': "Category",
+        'species.labelTaxonomy': "Order / Family",
+        'species.labelStatus': "Active time / Conservation",
+        'species.labelHabitat': "Habitat",
+        'species.labelPollinates': "Pollinates",
+        'species.labelDescription': "How it pollinates",
+        'list.separator': ", ",
+
+        'activeTime.diurnal': "Diurnal",
+        'activeTime.nocturnal': "Nocturnal",
+        'activeTime.crepuscular': "Crepuscular",
+        'conservation.LC': "Least Concern (LC)",
+        'conservation.NT': "Near Threatened (NT)",
+        'conservation.VU': "Vulnerable (VU)",
+        'conservation.EN': "Endangered (EN)",
+        'conservation.CR': "Critically Endangered (CR)",
+        'conservation.DD': "Data Deficient (DD)",
+        'conservation.NE': "Not Evaluated (NE)",
+
+        'category.rainforest-birds': "Unusual rainforest birds (e.g. hummingbirds, sunbirds)",
+        'category.nocturnal': "Nocturnal pollinators (e.g. long-tongued bats, hawkmoths)",
+        'category.beetles-flies': "Unusual pollinating beetles or flies",
+        'category.non-insects': "Pollinators that are not insects (e.g. geckos, lemurs, possums)",
+        'category.orchid-specialists': "Specialist orchid pollinators (e.g. unusual bees)",
+        'category.desert': "Pollinators of desert plants",
+        'category.alpine-cold': "Pollinating insects of mountains or cold regions",
+        'category.butterflies': "Colourful butterflies",
+
+        'journal.title': "My Field Journal",
+        'journal.search': "Search by name or Latin name...",
+        'journal.searchLabel': "Search the field journal",
+        'journal.filters': "Filter by category",
+        'journal.all': "All",
+        'journal.saved': "✓ Added to your field journal",
+        'journal.duplicate': "This species is already in your journal",
+        'journal.empty': "Your journal is empty. Discover a species to record your first entry.",
+        'journal.noMatch': "No species match.",
+        'journal.opened': "📖 From your field journal",
+
+        'quiz.title': "Pollination Quiz",
+        'quiz.levels': "Choose a difficulty",
+        'quiz.level.easy': "Beginner",
+        'quiz.level.medium': "Intermediate",
+        'quiz.level.hard': "Challenge",
+        'quiz.levelPrompt.easy': "beginner (upper primary school, basic concepts)",
+        'quiz.levelPrompt.medium': "intermediate (middle school, how pollinators and flowers adapt to each other)",
+        'quiz.levelPrompt.hard': "challenge (high school and above, details such as exclusive partnerships, evolution and fertilisation)",
+        'quiz.prompt': "Act as a nature teacher. Write {count} multiple-choice questions about pollination ecology at this level: {level}.\nEach question has 4 options with exactly one correct answer; answer is the index (0-3) of the correct option and explanation gives the reason in one or two sentences. Questions must be scientifically accurate and must not repeat. (Random seed: {seed})\nReturn them in the given JSON structure, with all text in English.",
+        'quiz.start': "Start a new round",
+        'quiz.intro': "{count} questions per round. Pick a difficulty and start.",
+        'quiz.loading': "Preparing questions…",
+        'quiz.offlineNotice': "📡 You are offline, using the bundled questions instead",
+        'quiz.bankError': "The bundled questions could not be loaded. Please reload the page and try again.",
+        'quiz.progress': "Question {number} / {total} · Score so far {score}",
+        'quiz.correct': "✓ Correct!",
+        'quiz.wrong': "✗ The correct answer is: {answer}",
+        'quiz.next': "Next question",
+        'quiz.results': "See results",
+        'quiz.score': "Round score {score} / {total}",
+        'quiz.perfect': "All correct, you are a true pollination expert!",
+        'quiz.finished': "Read the explanations and try another round.",
+        'quiz.again': "Play another round",
+        'quiz.history': "My results",
+        'quiz.noHistory': "No results at this difficulty yet.",
+        'quiz.stats': "{rounds} rounds · Best {best} · Average {average}%",
+        'quiz.recent': "Recent scores",
+
+        'video.title': "Promo Film",
+        'video.desc': "Through the lens we record small but extraordinary moments in nature.<br>Filmed in portrait; best viewed upright.",
+        'video.unsupported': "Your browser does not support video playback.",
+        'video.chapters': "Chapters",
+        'video.calloutSpecies': "See the species card →",
+        'video.calloutAsk': "Ask the Hive Mind →",
+        'video.placeholderTitle': "The film can't be played right now",
+        'video.placeholderBody': "The video file is missing or in a format this browser can't play. You can keep exploring under Species and Knowledge.",
+
+        'team.title': "The Team",
+        'team.carousel': "Team members",
+        'team.prev': "Previous member",
+        'team.next': "Next member",
+        'team.dots': "Choose a member",
+        'team.goTo': "Member {number}: {name}",
+        'team.loadError': "Could not load the team list",
+        'team.desc': "We are students of the Department of Visual Communication Design at Chaoyang University of Technology, and this work is our graduation project in the planning module.<br><br>Thinking beyond the flat page, we combine the language of design with digital technology to reinterpret, in virtual space, the warmth and possibilities of passing on knowledge.",
+
+        'settings.title': "AI settings",
+        'settings.close': "Close",
+        'settings.provider': "Model provider",
+        'settings.providerOpenai': "OpenAI-compatible endpoint (incl. local servers)",
+        'settings.providerMock': "Offline demo (no internet needed)",
+        'settings.model': "Model name",
+        'settings.geminiKeyHint': "Set the API key with the key button in the top-right corner.",
+        'settings.openaiUrl': "Server address (Base URL)",
+        'settings.openaiKey': "API key (may be empty for local servers)",
+        'settings.mockNote': "Uses built-in fixed answers and species data, ideal for exhibitions without internet.",
+        'settings.cache': "Answer cache",
+        'settings.cacheCount': "{count} answers cached, kept for {days} days",
+        'settings.cacheCleared': "Cache cleared.",
+        'settings.cacheClear': "Clear cache",
+        'settings.cancel': "Cancel",
+        'settings.save': "Save",
+
+        'apiKey.cleared': "API key cleared.",
+        'apiKey.missing': "No Gemini API key is set, so the AI features will not work.\nSet one now?",
+
+        'keyDialog.title': "Gemini API key",
+        'keyDialog.mode': "Connection",
+        'keyDialog.modeKey': "Use an API key in the browser",
+        'keyDialog.modeProxy': "Go through a local proxy (no key in the browser)",
+        'keyDialog.key': "API key",
+        'keyDialog.keyPlaceholder': "Paste a new key, or leave empty to keep the current one",
+        'keyDialog.current': "Current key: {key}",
+        'keyDialog.none': "No key set",
+        'keyDialog.clear': "Clear key",
+        'keyDialog.storage': "Remember the key",
+        'keyDialog.storageSession': "Only while this tab is open",
+        'keyDialog.storageLocal': "On this device",
+        'keyDialog.keyNote': "The key is only sent to Google in a request header, never in the URL.",
+        'keyDialog.proxyUrl': "Proxy address",
+        'keyDialog.proxyNote': "The proxy must forward to the Gemini API and add the key itself. Saving removes any key stored in the browser.",
+        'keyDialog.proxyMissing': "Please enter the proxy address.",
+        'keyDialog.hostProxy': "This embedded book uses a proxy set by the website; it can't be changed here.",
+        'keyDialog.test': "Test connection",
+        'keyDialog.testing': "Testing the connection…",
+        'keyDialog.testOk': "✓ Connected. The AI features are ready to use.",
+        'keyDialog.modelNotFound': "Model \"{model}\" was not found. Check the model name in the AI settings.",
+        'provider.openai': "OpenAI-compatible endpoint",
+        'provider.openaiMissing': "No server address is set for the OpenAI-compatible endpoint.\nSet one now?",
+        'provider.mock': "Offline demo",
+
+        'aiError.invalid_key': "The API key is invalid or missing. Please check it and enter it again.",
+        'aiError.rate_limit': "Too many requests or the usage limit was reached. Please wait a moment and try again.",
+        'aiError.safety': "This content was blocked by safety filters. Try asking another way.",
+        'aiError.timeout': "The response timed out; the network may be unstable.",
+        'aiError.offline': "You appear to be offline. Check your connection or switch to the offline demo.",
+        'aiError.malformed': "The AI returned data in an unexpected format.",
+        'aiError.unknown': "Something went wrong with the connection. Please try again later.",
+        'ai.repairPrompt': "The previous reply did not match the required format:\n- {problems}\nPlease fix it and return only the complete JSON.",
+        'ai.malformed': "The reply was not in the expected format: {problems}",
+
+        'action.retry': "Try again",
+        'action.retryLater': "Try again later",
+        'action.resetKey': "Reset key",
+        'action.editQuestion': "Edit question",
+        'action.useMock': "Use offline demo",
+        'action.anotherSpecies': "Try another species",
+        'action.regenerate': "Regenerate",
+        'action.useQuizBank': "Use bundled questions"
+    }
+};
+
+let currentLocale = loadLocale();
+
+// Saved choice first, otherwise follow the browser (Chinese → zh-Hant, anything else → en)
+function loadLocale() {
+    if (EMBED_OPTIONS && MESSAGES[EMBED_OPTIONS.locale]) return EMBED_OPTIONS.locale;
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (MESSAGES[saved]) return saved;
+    const browserLanguage = (navigator.language || '').toLowerCase();
+    if (!browserLanguage) return DEFAULT_LOCALE;
+    return browserLanguage.startsWith('zh') ? 'zh-Hant' : 'en';
+}
+
+function hasMessage(key) {
+    return key in MESSAGES[currentLocale] || key in MESSAGES[DEFAULT_LOCALE];
+}
+
+// t('species.curatedNotice', { status }) fills {status}. Missing keys fall
+// back to Traditional Chinese, then to the key itself.
+function t(key, params) {
+    const text = MESSAGES[currentLocale][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+// Records with an `en` block (curated species, team members) carry their own
+// English text; other records are shown as they were written.
+function localizeRecord(record) {
+    if (currentLocale === 'en' && record.en) return { ...record, ...record.en };
+    return record;
+}
+
+function applyTranslations(root = document) {
+    document.documentElement.lang = currentLocale;
+    document.title = t('page.title');
+
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    // Catalog strings are our own; only these may contain markup (<br>)
+    root.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+    root.querySelectorAll('[data-i18n-alt]').forEach(el => { el.alt = t(el.dataset.i18nAlt); });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => { el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)); });
+}
+
+// Features that render text from script listen for 'localechange' and redraw
+function setLocale(locale) {
+    if (!MESSAGES[locale] || locale === currentLocale) return;
+    currentLocale = locale;
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    applyTranslations();
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+}
+
+function toggleLocale() {
+    setLocale(currentLocale === 'en' ? 'zh-Hant' : 'en');
+}
+
+window.addEventListener('DOMContentLoaded', () => applyTranslations());
+
+// --- Motion Preferences ---
+// Follows the system's prefers-reduced-motion unless the reader picks a side
+// with the header toggle. While reduced, the 3D scene is frozen (no orbiting,
+// flapping, floating or parallax), the book snaps open/closed, and the
+// .reduce-motion class on <html> turns CSS animations into instant changes.
+const MOTION_STORAGE_KEY = "reduced_motion"; // 'on' | 'off' | absent = follow system
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+let reducedMotion = false;
+
+function loadReducedMotion() {
+    const saved = localStorage.getItem(MOTION_STORAGE_KEY);
+    if (saved === 'on' || saved === 'off') return saved === 'on';
+    return reducedMotionQuery.matches;
+}
+
+function applyMotionPreference() {
+    reducedMotion = loadReducedMotion();
+    document.documentElement.classList.toggle('reduce-motion', reducedMotion);
+    const toggleEl = document.getElementById('motion-toggle');
+    if (toggleEl) toggleEl.setAttribute('aria-pressed', String(reducedMotion));
+}
+
+function toggleReducedMotion() {
+    localStorage.setItem(MOTION_STORAGE_KEY, reducedMotion ? 'off' : 'on');
+    applyMotionPreference();
+}
+
+reducedMotionQuery.addEventListener('change', applyMotionPreference, { signal: bookLifetime.signal });
+applyMotionPreference();
+
+// Moves keyboard/screen-reader focus to the page that is currently shown
+function focusCurrentPage() {
+    const pageEl = document.getElementById(currentPageId === 'home' ? 'home-page' : currentPageId);
+    if (pageEl) pageEl.focus({ preventScroll: true });
+}
+
+// --- Gemini API Key ---
+// The key is kept in sessionStorage (forgotten when the tab closes) or in
+// localStorage (remembered on this device), as chosen in the key dialog.
+// With a proxy URL set (see getAiSettings), a local server adds the key to
+// each request instead, so the browser doesn't need to hold one at all.
+const API_KEY_STORAGE_KEY = "gemini_api_key";
+
+function getApiKey() {
+    return sessionStorage.getItem(API_KEY_STORAGE_KEY) || localStorage.getItem(API_KEY_STORAGE_KEY) || "";
+}
+
+function isApiKeyPersistent() {
+    return localStorage.getItem(API_KEY_STORAGE_KEY) !== null;
+}
+
+// An empty key clears it from both storages
+function setApiKey(key, { persist = true } = {}) {
+    sessionStorage.removeItem(API_KEY_STORAGE_KEY);
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+    if (key) (persist ? localStorage : sessionStorage).setItem(API_KEY_STORAGE_KEY, key);
+}
+
+// "AIza...wxyz": enough to recognise the key without revealing it
+function maskApiKey(key) {
+    if (!key) return '';
+    if (key.length <= 8) return '•'.repeat(key.length);
+    return key.substring(0, 4) + '...' + key.substring(key.length - 4);
+}
+
+function isGeminiConfigured() {
+    return getApiKey() !== "" || getAiSettings().gemini.proxyUrl !== "";
+}
+
+function checkApiKey() {
+    if (isGeminiConfigured()) return true;
+    if (confirm(t('apiKey.missing'))) openKeyDialog();
+    return false; // The reader asks again once the dialog is saved
+}
+
+// --- AI Provider Settings ---
+// Which backend answers the Hive Mind and the species generator. Stored as
+// { provider, gemini: { model, proxyUrl }, openai: { baseUrl, model, apiKey } }.
+const AI_SETTINGS_KEY = "ai_provider_settings";
+const DEFAULT_AI_SETTINGS = {
+    provider: 'gemini',
+    gemini: { model: 'gemini-2.5-flash-lite', proxyUrl: '' },
+    openai: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', apiKey: '' }
+};
+
+// The reader's own settings. Start from these when saving.
+function getSavedAiSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(AI_SETTINGS_KEY)) || {};
+    } catch (e) {
+        console.warn("AI settings could not be read, using defaults.", e);
+    }
+    return {
+        provider: saved.provider || DEFAULT_AI_SETTINGS.provider,
+        gemini: { ...DEFAULT_AI_SETTINGS.gemini, ...saved.gemini },
+        openai: { ...DEFAULT_AI_SETTINGS.openai, ...saved.openai }
+    };
+}
+
+// What the host page of an embedded book fixed. It wins over the saved
+// settings but is never written back: the standalone book shares this
+// storage, and a third-party page must not pick its proxy.
+function getEmbedAiOverrides() {
+    const overrides = {};
+    if (!EMBED_OPTIONS) return overrides;
+    if (Object.hasOwn(AI_PROVIDERS, EMBED_OPTIONS.provider)) overrides.provider = EMBED_OPTIONS.provider;
+    if (EMBED_OPTIONS.proxyUrl) overrides.proxyUrl = EMBED_OPTIONS.proxyUrl;
+    return overrides;
+}
+
+// The settings in effect
+function getAiSettings() {
+    const settings = getSavedAiSettings();
+    const overrides = getEmbedAiOverrides();
+    if (overrides.provider) settings.provider = overrides.provider;
+    if (overrides.proxyUrl) settings.gemini.proxyUrl = overrides.proxyUrl;
+    return settings;
+}
+
+function saveAiSettings(settings) {
+    localStorage.setItem(AI_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// --- AI Errors ---
+// Transports throw one of these instead of returning an error string, so the
+// panels can tell a bad key from a flaky network. `retryable` errors are
+// retried with exponential backoff by runAiRequest().
+// `message` is worded in the current language each time it is read (see
+// describeAiError); `detail` holds untranslated specifics for the logs.
+class AIError extends Error {
+    constructor(detail = '', { status, cause, retryable = false } = {}) {
+        super();
+        this.name = this.constructor.name;
+        this.type = 'unknown';
+        this.detail = detail;
+        this.status = status;
+        this.cause = cause;
+        this.retryable = retryable;
+    }
+
+    get message() {
+        const text = describeAiError(this);
+        return this.detail ? `${text} (${this.detail})` : text;
+    }
+}
+
+class InvalidKeyError extends AIError {
+    constructor(detail, options) {
+        super(detail, options);
+        this.type = 'invalid_key';
+    }
+}
+
+class RateLimitError extends AIError {
+    constructor(detail, options) {
+        super(detail, { ...options, retryable: true });
+        this.type = 'rate_limit';
+    }
+}
+
+class SafetyBlockError extends AIError {
+    constructor(detail, options) {
+        super(detail, options);
+        this.type = 'safety';
+    }
+}
+
+class RequestTimeoutError extends AIError {
+    constructor(detail, options) {
+        super(detail, { ...options, retryable: true });
+        this.type = 'timeout';
+    }
+}
+
+class NetworkOfflineError extends AIError {
+    constructor(detail, options) {
+        super(detail, { ...options, retryable: true });
+        this.type = 'offline';
+    }
+}
+
+class MalformedResponseError extends AIError {
+    // `problems` lists what was wrong with a structured reply (validateSchema)
+    constructor(problems = [], options) {
+        super('', options);
+        this.type = 'malformed';
+        this.problems = problems;
+    }
+
+    get message() {
+        return this.problems.length > 0 ? t('ai.malformed', { problems: this.problems.join('; ') }) : super.message;
+    }
+}
+
+// Maps a failed HTTP response to a typed error
+async function errorFromResponse(response) {
+    let detail = '';
+    try {
+        const text = await response.text();
+        try {
+            detail = JSON.parse(text).error?.message || text;
+        } catch (e) {
+            detail = text;
+        }
+    } catch (e) {
+        // Body unreadable, fall back to the status code only
+    }
+    console.error("API Detailed Error:", response.status, detail);
+
+    const status = response.status;
+    if (status === 401 || status === 403 || (status === 400 && /api key/i.test(detail))) {
+        return new InvalidKeyError(undefined, { status });
+    }
+    if (status === 429) return new RateLimitError(undefined, { status });
+    if (status >= 500) return new AIError(`HTTP ${status}`, { status, retryable: true });
+    return new AIError(`HTTP ${status}`, { status });
+}
+
+// fetch() rejects with a TypeError when the network is unreachable
+function normalizeFetchError(error) {
+    if (error instanceof AIError || error.name === 'AbortError') return error;
+    if (error.name === 'TypeError') return new NetworkOfflineError(undefined, { cause: error });
+    return new AIError(error.message, { cause: error });
+}
+
+function parseJsonResponse(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new MalformedResponseError(undefined, { cause: e });
+    }
+}
+
+// --- Shared Streaming Helper ---
+// Reads a server-sent events response and hands every `data:` payload to onData.
+async function readServerSentEvents(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    // An event's data lines are joined with newlines; events without data are skipped
+    const dispatch = (event) => {
+        const dataLines = event.split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(line.startsWith('data: ') ? 6 : 5));
+        if (dataLines.length > 0) onData(dataLines.join('\n'));
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        // SSE events are separated by a blank line; keep the trailing partial event
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+        events.forEach(dispatch);
+    }
+
+    // The stream may end without the blank line after its last event
+    buffer += decoder.decode();
+    if (buffer.trim()) dispatch(buffer);
+}
+
+// --- Gemini Transport ---
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+// A proxy stands in for the API root, e.g. http://localhost:8787/v1beta
+function getGeminiBaseUrl(proxyUrl = getAiSettings().gemini.proxyUrl) {
+    return proxyUrl ? proxyUrl.replace(/\/+$/, '') : GEMINI_API_BASE;
+}
+
+function getGeminiModelUrl() {
+    return `${getGeminiBaseUrl()}/models/${getAiSettings().gemini.model}`;
+}
+
+// The key travels in a header so it stays out of URLs, server logs and the
+// browser history. Through a proxy no key is sent from the browser.
+function getGeminiHeaders(key = getApiKey(), proxyUrl = getAiSettings().gemini.proxyUrl) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (key && !proxyUrl) headers['x-goog-api-key'] = key;
+    return headers;
+}
+
+// `input` may be a single prompt string or a Gemini `contents` array
+// ([{ role: 'user' | 'model', parts: [{ text }] }]) for multi-turn chats.
+function buildGeminiPayload(input, systemInstruction, schema) {
+    const contents = typeof input === 'string'
+        ? [{ role: 'user', parts: [{ text: input }] }]
+        : input;
+
+    const payload = { contents };
+    if (systemInstruction) {
+        payload.systemInstruction = { parts: [{ text: systemInstruction }] };
+    }
+    if (schema) {
+        payload.generationConfig = {
+            responseMimeType: 'application/json',
+            responseSchema: toGeminiSchema(schema)
+        };
+    }
+    return payload;
+}
+
+// Gemini expects upper-case OpenAPI type names ("OBJECT", "STRING", ...)
+function toGeminiSchema(schema) {
+    const converted = { ...schema, type: schema.type.toUpperCase() };
+    if (schema.properties) {
+        converted.properties = {};
+        Object.keys(schema.properties).forEach(key => {
+            converted.properties[key] = toGeminiSchema(schema.properties[key]);
+        });
+    }
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+    return converted;
+}
+
+// Joins the text parts of one generateContent response (or one streamed chunk).
+// Throws SafetyBlockError when the prompt or the answer was blocked.
+function extractGeminiText(data) {
+    if (data.promptFeedback?.blockReason) {
+        throw new SafetyBlockError();
+    }
+    const candidate = data.candidates?.[0];
+    if (candidate?.finishReason === 'SAFETY' || candidate?.finishReason === 'PROHIBITED_CONTENT') {
+        throw new SafetyBlockError();
+    }
+    const parts = candidate?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+}
+
+async function callGemini(input, systemInstruction, { signal, schema } = {}) {
+    if (!isGeminiConfigured()) throw new InvalidKeyError();
+
+    const url = `${getGeminiModelUrl()}:generateContent`;
+
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: getGeminiHeaders(),
+            body: JSON.stringify(buildGeminiPayload(input, systemInstruction, schema)),
+            signal
+        });
+    } catch (error) {
+        throw normalizeFetchError(error);
+    }
+
+    if (!response.ok) throw await errorFromResponse(response);
+
+    const text = extractGeminiText(parseJsonResponse(await response.text()));
+    if (!text) throw new MalformedResponseError();
+    return text;
+}
+
+// Streaming variant: reads server-sent events from streamGenerateContent and
+// reports the accumulated text through `onChunk(fullText)` as it arrives.
+async function callGeminiStream(input, systemInstruction, { onChunk, signal } = {}) {
+    if (!isGeminiConfigured()) throw new InvalidKeyError();
+
+    const url = `${getGeminiModelUrl()}:streamGenerateContent?alt=sse`;
+    let fullText = '';
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: getGeminiHeaders(),
+            body: JSON.stringify(buildGeminiPayload(input, systemInstruction)),
+            signal
+        });
+
+        if (!response.ok) throw await errorFromResponse(response);
+
+        await readServerSentEvents(response, (data) => {
+            const text = extractGeminiText(parseJsonResponse(data));
+            if (text) {
+                fullText += text;
+                if (onChunk) onChunk(fullText);
+            }
+        });
+    } catch (error) {
+        throw normalizeFetchError(error);
+    }
+
+    if (!fullText) throw new MalformedResponseError();
+    return fullText;
+}
+
+// Checks settings from the key dialog before they are saved by fetching the
+// model's metadata: a bad key fails with 400/403, an unknown model with 404.
+async function testGeminiConnection({ key, proxyUrl, model }) {
+    if (!key && !proxyUrl) throw new InvalidKeyError();
+
+    await runWithTimeout(async (signal) => {
+        let response;
+        try {
+            response = await fetch(`${getGeminiBaseUrl(proxyUrl)}/models/${model}`, {
+                headers: getGeminiHeaders(key, proxyUrl),
+                signal
+            });
+        } catch (error) {
+            throw normalizeFetchError(error);
+        }
+        if (!response.ok) throw await errorFromResponse(response);
+    });
+}
+
+// --- OpenAI-Compatible Transport ---
+// Works with any server exposing POST {baseUrl}/chat/completions
+// (OpenAI, LM Studio, Ollama, llama.cpp server, ...).
+function buildOpenAiMessages(request) {
+    const messages = [];
+    if (request.system) messages.push({ role: 'system', content: request.system });
+    request.messages.forEach(message => {
+        // Images go as data URLs in a multi-part message (vision models only)
+        const content = message.images
+            ? [
+                { type: 'text', text: message.text },
+                ...message.images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }))
+            ]
+            : message.text;
+        messages.push({
+            role: message.role === 'model' ? 'assistant' : 'user',
+            content
+        });
+    });
+    return messages;
+}
+
+function buildOpenAiBody(request, model, stream) {
+    const body = { model, messages: buildOpenAiMessages(request), stream };
+    if (request.schema) {
+        body.response_format = {
+            type: 'json_schema',
+            json_schema: { name: 'structured_reply', schema: request.schema }
+        };
+    }
+    return body;
+}
+
+function extractOpenAiText(choice, field) {
+    if (choice?.finish_reason === 'content_filter') throw new SafetyBlockError();
+    return choice?.[field]?.content;
+}
+
+async function callOpenAiCompatible(request, { stream = false, onChunk, signal } = {}) {
+    const { baseUrl, model, apiKey } = getAiSettings().openai;
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    let fullText = '';
+
+    try {
+        const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(buildOpenAiBody(request, model, stream)),
+            signal
+        });
+
+        if (!response.ok) throw await errorFromResponse(response);
+
+        if (!stream) {
+            const data = parseJsonResponse(await response.text());
+            fullText = extractOpenAiText(data.choices?.[0], 'message') || '';
+        } else {
+            await readServerSentEvents(response, (data) => {
+                if (data === '[DONE]') return;
+                const text = extractOpenAiText(parseJsonResponse(data).choices?.[0], 'delta');
+                if (text) {
+                    fullText += text;
+                    if (onChunk) onChunk(fullText);
+                }
+            });
+        }
+    } catch (error) {
+        throw normalizeFetchError(error);
+    }
+
+    if (!fullText) throw new MalformedResponseError();
+    return fullText;
+}
+
+// --- Offline Mock Transport ---
+// Deterministic canned replies so the book can be demoed without internet.
+// Keywords cover both languages; the reply follows the current locale.
+const MOCK_ANSWERS = [
+    {
+        keywords: ['跳舞', '舞', 'danc'],
+        text: "蜜蜂的**搖擺舞**是一張會移動的地圖。\n\n舞蹈的**角度**對應太陽與花叢的方位，**擺動的時間**則代表距離。回到蜂巢的採集蜂用身體書寫路線，讓同伴循著陽光找到花蜜。",
+        en: { text: "The honey bee's **waggle dance** is a moving map.\n\nThe **angle** of the dance points to the flowers relative to the sun, and the **length of the waggle** tells the distance. Returning foragers write the route with their bodies so their sisters can follow the sunlight to nectar." }
+    },
+    {
+        keywords: ['顏色', '色', 'colo'],
+        text: "蝴蝶偏愛**紅、橙、紫**等鮮豔的花色，牠們能看見部分紫外線。\n\n許多花瓣上藏著人眼看不見的**蜜源指引**，像跑道燈一樣引導訪花者找到花蜜。",
+        en: { text: "Butterflies favour bright **red, orange and purple** flowers, and they can see some ultraviolet light.\n\nMany petals hide **nectar guides** invisible to us, leading visitors to the nectar like runway lights." }
+    },
+    {
+        keywords: ['夜', '蝙蝠', '蛾', 'night', 'bat', 'moth'],
+        text: "夜晚的花朵多半**色白而芳香**，好讓**天蛾**與**長舌蝠**在黑暗中循著氣味找到它們。\n\n月光下的授粉，是一場以嗅覺為主角的約會。",
+        en: { text: "Night-blooming flowers are mostly **pale and fragrant**, so **hawkmoths** and **long-tongued bats** can find them by scent in the dark.\n\nPollination by moonlight is a date led by the nose." }
+    }
+];
+const MOCK_DEFAULT_ANSWER = {
+    text: "（離線示範模式）\n\n授粉是花與動物之間的**交換**：花朵提供花蜜與花粉，授粉者則把花粉帶到下一朵花上，讓植物得以**結出果實與種子**。",
+    en: { text: "(Offline demo mode)\n\nPollination is an **exchange** between flowers and animals: flowers offer nectar and pollen, and pollinators carry the pollen on to the next flower so the plant can **set fruit and seed**." }
+};
+const MOCK_SPECIES = [
+    {
+        name: "長舌花蝠", latinName: "Glossophaga soricina", icon: "🦇",
+        habitat: "中南美洲的熱帶森林與乾燥林地",
+        description: "牠能像蜂鳥般在花前懸停，用比身體還長的舌頭舔取花蜜，口鼻沾滿花粉後飛往下一株龍舌蘭或仙人掌，是夜間最勤奮的信差。",
+        order: "翼手目 Chiroptera", family: "葉口蝠科 Phyllostomidae",
+        pollinates: ["龍舌蘭", "柱狀仙人掌", "香蕉"], activeTime: "nocturnal", conservationStatus: "LC",
+        en: {
+            name: "Pallas's Long-tongued Bat", habitat: "Tropical and dry forests of Central and South America",
+            description: "It hovers in front of flowers like a hummingbird and laps nectar with a tongue longer than its body, then carries a pollen-covered face to the next agave or cactus, the most diligent messenger of the night.",
+            order: "Chiroptera", family: "Phyllostomidae", pollinates: ["Agave", "Columnar cactus", "Banana"]
+        }
+    },
+    {
+        name: "長喙天蛾", latinName: "Macroglossum stellatarum", icon: "🦋",
+        habitat: "歐亞大陸溫帶的花園與草原",
+        description: "白天活動的天蛾，翅膀振動快得發出嗡嗡聲，常被誤認為蜂鳥。牠伸出長長的口器探入花筒，一天可以拜訪上千朵花。",
+        order: "鱗翅目 Lepidoptera", family: "天蛾科 Sphingidae",
+        pollinates: ["馬鞭草", "忍冬", "薰衣草"], activeTime: "diurnal", conservationStatus: "LC",
+        en: {
+            name: "Hummingbird Hawk-moth", habitat: "Gardens and grasslands of temperate Eurasia",
+            description: "A day-flying hawkmoth whose wings beat so fast they hum, so it is often mistaken for a hummingbird. It probes flower tubes with its long proboscis and can visit a thousand flowers in a day.",
+            order: "Lepidoptera", family: "Sphingidae", pollinates: ["Verbena", "Honeysuckle", "Lavender"]
+        }
+    },
+    {
+        name: "劍嘴蜂鳥", latinName: "Ensifera ensifera", icon: "🐦",
+        habitat: "安地斯山脈的雲霧森林",
+        description: "牠的喙比身體還長，是唯一喙長超過體長的鳥類，專門為花冠極深的西番蓮授粉，兩者在演化中互相塑造了彼此的形狀。",
+        order: "雨燕目 Apodiformes", family: "蜂鳥科 Trochilidae",
+        pollinates: ["長筒西番蓮", "曼陀羅木"], activeTime: "diurnal", conservationStatus: "LC",
+        en: {
+            name: "Sword-billed Hummingbird", habitat: "Cloud forests of the Andes",
+            description: "Its bill is longer than its body, the only bird for which that is true. It pollinates passionflowers with extremely deep corollas, and the two have shaped each other through evolution.",
+            order: "Apodiformes", family: "Trochilidae", pollinates: ["Long-tubed passionflower", "Angel's trumpet"]
+        }
+    }
+];
+
+let mockSpeciesIndex = 0;
+
+function getMockResponse(request) {
+    if (request.schema) {
+        const { en, ...species } = localizeRecord(MOCK_SPECIES[mockSpeciesIndex % MOCK_SPECIES.length]);
+        mockSpeciesIndex++;
+        return JSON.stringify(request.schema === PHOTO_RESULT_SCHEMA ? { identified: true, species } : species);
+    }
+    const lastQuestion = request.messages[request.messages.length - 1]?.text || '';
+    const question = lastQuestion.toLowerCase();
+    const match = MOCK_ANSWERS.find(answer => answer.keywords.some(k => question.includes(k)));
+    return localizeRecord(match || MOCK_DEFAULT_ANSWER).text;
+}
+
+function abortError() {
+    return new DOMException("The operation was aborted.", 'AbortError');
+}
+
+async function callMock(request, { stream = false, onChunk, signal } = {}) {
+    const text = getMockResponse(request);
+    if (!stream) return text;
+
+    // Simulate a streamed reply a few characters at a time
+    let fullText = '';
+    for (let i = 0; i < text.length; i += 6) {
+        await new Promise(r => setTimeout(r, 30));
+        if (signal && signal.aborted) throw abortError();
+        fullText = text.substring(0, i + 6);
+        if (onChunk) onChunk(fullText);
+    }
+    return fullText;
+}
+
+// --- AI Provider Layer ---
+// isAvailable() is a silent check; isReady() may prompt the user to configure.
+// Callers describe a request without knowing the backend:
+//   { system, messages: [{ role: 'user' | 'model', text, images? }], json }
+// where images are [{ mimeType, data (base64) }].
+// `schema` marks requests that expect a JSON document back; see aiGenerateJson().
+function toGeminiContents(messages) {
+    return messages.map(message => ({
+        role: message.role,
+        parts: [
+            { text: message.text },
+            ...(message.images || []).map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } }))
+        ]
+    }));
+}
+
+const AI_PROVIDERS = {
+    gemini: {
+        label: "Google Gemini",
+        isAvailable: () => isGeminiConfigured(),
+        isReady: () => checkApiKey(),
+        generate: (request, options) => callGemini(toGeminiContents(request.messages), request.system, { ...options, schema: request.schema }),
+        stream: (request, options) => callGeminiStream(toGeminiContents(request.messages), request.system, options)
+    },
+    openai: {
+        get label() { return t('provider.openai'); },
+        isAvailable: () => getAiSettings().openai.baseUrl !== "",
+        isReady: () => {
+            if (getAiSettings().openai.baseUrl) return true;
+            if (confirm(t('provider.openaiMissing'))) openSettings();
+            return false;
+        },
+        generate: (request, options) => callOpenAiCompatible(request, options),
+        stream: (request, options) => callOpenAiCompatible(request, { ...options, stream: true })
+    },
+    mock: {
+        get label() { return t('provider.mock'); },
+        isAvailable: () => true,
+        isReady: () => true,
+        generate: (request, options) => callMock(request, options),
+        stream: (request, options) => callMock(request, { ...options, stream: true })
+    }
+};
+
+function getActiveProvider() {
+    return AI_PROVIDERS[getAiSettings().provider] || AI_PROVIDERS.gemini;
+}
+
+function ensureProviderReady() {
+    return getActiveProvider().isReady();
+}
+
+// --- Timeouts & Retry ---
+const AI_REQUEST_TIMEOUT = 20000; // ms without any response (or new chunk) before giving up
+const AI_MAX_RETRIES = 2;
+const AI_RETRY_BASE_DELAY = 1000; // ms, doubled on every attempt
+
+// Runs `task(signal, keepAlive)` once with a per-request timeout. The task may
+// call keepAlive() whenever data arrives so long streams don't time out.
+async function runWithTimeout(task, userSignal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+
+    const keepAlive = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, AI_REQUEST_TIMEOUT);
+    };
+    const onUserAbort = () => controller.abort();
+
+    if (userSignal) {
+        if (userSignal.aborted) controller.abort();
+        userSignal.addEventListener('abort', onUserAbort);
+    }
+    keepAlive();
+
+    try {
+        return await task(controller.signal, keepAlive);
+    } catch (error) {
+        if (timedOut) throw new RequestTimeoutError(undefined, { cause: error });
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        if (userSignal) userSignal.removeEventListener('abort', onUserAbort);
+    }
+}
+
+// Retries transient failures (`error.retryable`) with exponential backoff.
+// `canRetry()` lets streaming callers refuse once text has been shown.
+async function runAiRequest(task, { signal, canRetry = () => true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await runWithTimeout(task, signal);
+        } catch (error) {
+            const willRetry = error.retryable && attempt < AI_MAX_RETRIES && canRetry() && !(signal && signal.aborted);
+            if (!willRetry) throw error;
+
+            const delay = AI_RETRY_BASE_DELAY * Math.pow(2, attempt) + Math.random() * 250;
+            console.warn(`AI request failed (${error.type}), retrying in ${Math.round(delay)}ms`, error);
+            await new Promise(r => setTimeout(r, delay));
+        }
+    }
+}
+
+function aiGenerate(request, { signal } = {}) {
+    return runAiRequest((taskSignal) => getActiveProvider().generate(request, { signal: taskSignal }), { signal });
+}
+
+// Streams a reply through onChunk(fullText). If the user aborts through
+// `signal`, the text received so far is returned instead of an error.
+async function aiStream(request, { onChunk, signal } = {}) {
+    let latestText = '';
+
+    try {
+        return await runAiRequest((taskSignal, keepAlive) => getActiveProvider().stream(request, {
+            signal: taskSignal,
+            onChunk: (text) => {
+                latestText = text;
+                keepAlive();
+                if (onChunk) onChunk(text);
+            }
+        }), { signal, canRetry: () => latestText === '' });
+    } catch (error) {
+        if (signal && signal.aborted) return latestText;
+        throw error;
+    }
+}
+
+// --- Structured Output ---
+// Schemas use a small JSON-Schema subset (type incl. integer, properties,
+// required, items, enum, minItems/maxItems, minimum/maximum) that both
+// providers understand and validateSchema() checks. Local data files may
+// also use pattern.
+const AI_JSON_MAX_ATTEMPTS = 3;
+
+// Returns a list of human-readable problems in the interface language
+// (catalog keys validation.*); empty means valid
+function validateSchema(value, schema, path = '$') {
+    const errors = [];
+    const actualType = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+    const expectedType = schema.type === 'integer' ? 'number' : schema.type;
+
+    if (actualType !== expectedType) {
+        errors.push(t('validation.type', { path, expected: schema.type, actual: actualType }));
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(t('validation.enum', { path, options: schema.enum.join(' / '), actual: JSON.stringify(value) }));
+    }
+    if (schema.type === 'string' && value.trim() === '') {
+        errors.push(t('validation.emptyString', { path }));
+    }
+    if (schema.pattern && schema.type === 'string' && !new RegExp(schema.pattern).test(value)) {
+        errors.push(t('validation.pattern', { path, pattern: schema.pattern, actual: JSON.stringify(value) }));
+    }
+    if (schema.type === 'integer' && !Number.isInteger(value)) {
+        errors.push(t('validation.integer', { path, actual: value }));
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(t('validation.minimum', { path, minimum: schema.minimum, actual: value }));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(t('validation.maximum', { path, maximum: schema.maximum, actual: value }));
+    }
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(t('validation.required', { path: `${path}.${key}` }));
+        });
+        Object.keys(schema.properties || {}).forEach(key => {
+            if (value[key] !== undefined) {
+                errors.push(...validateSchema(value[key], schema.properties[key], `${path}.${key}`));
+            }
+        });
+    }
+    if (schema.type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(t('validation.minItems', { path, count: schema.minItems, actual: value.length }));
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(t('validation.maxItems', { path, count: schema.maxItems, actual: value.length }));
+        }
+        value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+    return errors;
+}
+
+// Best-effort fixes for near-miss replies before we spend another request:
+// strips fences/prose around the JSON and coerces obvious type mismatches.
+function repairJsonReply(text, schema) {
+    const start = text.indexOf(schema.type === 'array' ? '[' : '{');
+    const end = text.lastIndexOf(schema.type === 'array' ? ']' : '}');
+    if (start === -1 || end <= start) return undefined;
+
+    let value;
+    try {
+        value = JSON.parse(text.substring(start, end + 1));
+    } catch (e) {
+        return undefined;
+    }
+    return coerceToSchema(value, schema);
+}
+
+function coerceToSchema(value, schema) {
+    if (value === null || value === undefined) return value;
+
+    if (schema.type === 'string') {
+        if (Array.isArray(value)) value = value.join('、');
+        if (typeof value === 'number') value = String(value);
+        if (typeof value !== 'string') return value;
+        value = value.trim();
+        if (schema.enum && !schema.enum.includes(value)) {
+            const match = schema.enum.find(option => option.toLowerCase() === value.toLowerCase());
+            if (match) value = match;
+        }
+        return value;
+    }
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    if ((schema.type === 'integer' || schema.type === 'number') && typeof value === 'string' && value.trim() !== '') {
+        const number = Number(value);
+        return Number.isNaN(number) ? value : number;
+    }
+    if (schema.type === 'array') {
+        if (typeof value === 'string') value = value.split(/[、,，;；]/).map(item => item.trim()).filter(Boolean);
+        return Array.isArray(value) ? value.map(item => coerceToSchema(item, schema.items)) : value;
+    }
+    if (schema.type === 'object' && typeof value === 'object' && !Array.isArray(value)) {
+        const result = { ...value };
+        Object.keys(schema.properties || {}).forEach(key => {
+            result[key] = coerceToSchema(value[key], schema.properties[key]);
+        });
+        return result;
+    }
+    return value;
+}
+
+// Asks for a JSON document matching `schema`. Replies are parsed, repaired and
+// validated locally; if they still don't fit, the model is shown its mistakes
+// and asked again. Throws MalformedResponseError after AI_JSON_MAX_ATTEMPTS.
+async function aiGenerateJson(request, schema, { signal } = {}) {
+    const messages = [...request.messages];
+    let problems = [];
+
+    for (let attempt = 1; attempt <= AI_JSON_MAX_ATTEMPTS; attempt++) {
+        const text = await aiGenerate({ ...request, messages, schema }, { signal });
+
+        let value;
+        try {
+            value = coerceToSchema(JSON.parse(text), schema);
+        } catch (e) {
+            value = repairJsonReply(text, schema);
+        }
+
+        problems = value === undefined ? [t('validation.notJson')] : validateSchema(value, schema);
+        if (problems.length === 0) return value;
+
+        console.warn(`Structured reply rejected (attempt ${attempt}):`, problems, text);
+        messages.push(
+            { role: 'model', text },
+            { role: 'user', text: t('ai.repairPrompt', { problems: problems.join('\n- ') }) }
+        );
+    }
+
+    throw new MalformedResponseError(problems);
+}
+
+// --- AI Error Presentation ---
+// Shared wording for every error type (catalog keys aiError.<type>); each
+// panel supplies its own recovery actions.
+function describeAiError(error) {
+    const key = `aiError.${error.type}`;
+    return hasMessage(key) ? t(key) : t('aiError.unknown');
+}
+
+function openKeySettings() {
+    if (getAiSettings().provider === 'gemini') {
+        openKeyDialog();
+    } else {
+        openSettings();
+    }
+}
+
+function useMockProvider() {
+    // The host page chose the provider: switch for this visit only
+    if (getEmbedAiOverrides().provider) {
+        EMBED_OPTIONS.provider = 'mock';
+        return;
+    }
+    const settings = getSavedAiSettings();
+    settings.provider = 'mock';
+    saveAiSettings(settings);
+}
+
+// Builds an error notice: message + recovery buttons ([{ label, onClick }])
+function createAiErrorNotice(error, actions, className) {
+    const noticeEl = document.createElement('div');
+    noticeEl.className = `ai-error ${className || ''}`;
+    noticeEl.setAttribute('role', 'alert');
+
+    const messageEl = document.createElement('p');
+    messageEl.textContent = describeAiError(error);
+    noticeEl.appendChild(messageEl);
+
+    const actionsEl = document.createElement('div');
+    actionsEl.className = 'ai-error-actions';
+    actions.forEach(({ label, onClick }) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        actionsEl.appendChild(button);
+    });
+    noticeEl.appendChild(actionsEl);
+    return noticeEl;
+}
+
+// --- Settings Panel ---
+let settingsOpener = null; // Element that had focus before the dialog opened
+
+function openSettings() {
+    const settings = getAiSettings();
+    document.getElementById('settings-provider').value = settings.provider;
+    document.getElementById('settings-provider').disabled = !!getEmbedAiOverrides().provider;
+    document.getElementById('settings-gemini-model').value = settings.gemini.model;
+    document.getElementById('settings-openai-url').value = settings.openai.baseUrl;
+    document.getElementById('settings-openai-model').value = settings.openai.model;
+    document.getElementById('settings-openai-key').value = settings.openai.apiKey;
+    updateSettingsFields();
+    renderAnswerCacheStatus();
+    settingsOpener = document.activeElement;
+    document.getElementById('settings-dialog').classList.remove('hidden');
+    document.getElementById('settings-provider').focus();
+}
+
+function closeSettings() {
+    const dialogEl = document.getElementById('settings-dialog');
+    if (dialogEl.classList.contains('hidden')) return;
+    dialogEl.classList.add('hidden');
+    if (settingsOpener && settingsOpener.isConnected) settingsOpener.focus();
+    settingsOpener = null;
+}
+
+// Escape closes the open dialog; Tab cycles inside it while it is open
+const MODAL_DIALOGS = [
+    { id: 'settings-dialog', close: () => closeSettings() },
+    { id: 'key-dialog', close: () => closeKeyDialog() }
+];
+
+document.addEventListener('keydown', (e) => {
+    const modal = MODAL_DIALOGS.find(({ id }) => {
+        const el = document.getElementById(id);
+        return el && !el.classList.contains('hidden');
+    });
+    if (!modal) return;
+    const dialogEl = document.getElementById(modal.id);
+
+    if (e.key === 'Escape') {
+        modal.close();
+    } else if (e.key === 'Tab') {
+        const focusable = [...dialogEl.querySelectorAll('button, input, select')]
+            .filter(el => el.offsetParent !== null);
+        if (focusable.length === 0) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}, { signal: bookLifetime.signal });
+
+// Only show the fields that belong to the selected provider
+function updateSettingsFields() {
+    const provider = document.getElementById('settings-provider').value;
+    document.querySelectorAll('[data-provider-fields]').forEach(el => {
+        el.classList.toggle('hidden', el.dataset.providerFields !== provider);
+    });
+}
+
+function saveSettings() {
+    const settings = getSavedAiSettings();
+    if (!getEmbedAiOverrides().provider) settings.provider = document.getElementById('settings-provider').value;
+    settings.gemini.model = document.getElementById('settings-gemini-model').value.trim() || DEFAULT_AI_SETTINGS.gemini.model;
+    settings.openai.baseUrl = document.getElementById('settings-openai-url').value.trim();
+    settings.openai.model = document.getElementById('settings-openai-model').value.trim();
+    settings.openai.apiKey = document.getElementById('settings-openai-key').value.trim();
+    saveAiSettings(settings);
+    closeSettings();
+}
+
+// --- API Key Dialog ---
+// Opened by the key button in the header. The key field starts empty and
+// leaving it empty keeps the current key, which is only ever shown masked.
+let keyDialogOpener = null;
+
+function openKeyDialog() {
+    const currentKey = getApiKey();
+    const proxyUrl = getAiSettings().gemini.proxyUrl;
+
+    document.getElementById(proxyUrl ? 'key-mode-proxy' : 'key-mode-key').checked = true;
+    document.getElementById(!currentKey || isApiKeyPersistent() ? 'key-storage-local' : 'key-storage-session').checked = true;
+    document.getElementById('key-input').value = '';
+    document.getElementById('key-proxy-url').value = proxyUrl;
+    // A proxy set by the host page can be tested but not changed
+    const hostProxy = !!getEmbedAiOverrides().proxyUrl;
+    document.getElementById('key-mode-key').disabled = hostProxy;
+    document.getElementById('key-proxy-url').readOnly = hostProxy;
+    updateKeyDialog();
+    setKeyStatus(hostProxy ? t('keyDialog.hostProxy') : '');
+
+    keyDialogOpener = document.activeElement;
+    document.getElementById('key-dialog').classList.remove('hidden');
+    document.getElementById(proxyUrl ? 'key-proxy-url' : 'key-input').focus();
+}
+
+function closeKeyDialog() {
+    const dialogEl = document.getElementById('key-dialog');
+    if (dialogEl.classList.contains('hidden')) return;
+    dialogEl.classList.add('hidden');
+    if (keyDialogOpener && keyDialogOpener.isConnected) keyDialogOpener.focus();
+    keyDialogOpener = null;
+}
+
+// Shows the fields of the chosen mode and the masked current key
+function updateKeyDialog() {
+    const mode = document.querySelector('input[name="key-mode"]:checked').value;
+    document.querySelectorAll('[data-key-mode-fields]').forEach(el => {
+        el.classList.toggle('hidden', el.dataset.keyModeFields !== mode);
+    });
+
+    const currentKey = getApiKey();
+    document.getElementById('key-current').textContent = currentKey
+        ? t('keyDialog.current', { key: maskApiKey(currentKey) })
+        : t('keyDialog.none');
+    document.getElementById('key-clear-btn').classList.toggle('hidden', !currentKey);
+}
+
+function setKeyStatus(text, state) {
+    const statusEl = document.getElementById('key-status');
+    statusEl.textContent = text;
+    statusEl.classList.toggle('text-red-400', state === 'error');
+    statusEl.classList.toggle('text-[#8A9A5B]', state === 'ok');
+}
+
+function readKeyDialog() {
+    const isProxy = document.getElementById('key-mode-proxy').checked;
+    return {
+        key: isProxy ? '' : (document.getElementById('key-input').value.trim() || getApiKey()),
+        proxyUrl: isProxy ? document.getElementById('key-proxy-url').value.trim() : '',
+        persist: document.getElementById('key-storage-local').checked,
+        isProxy
+    };
+}
+
+async function testKeyDialog() {
+    const testBtn = document.getElementById('key-test-btn');
+    const { key, proxyUrl } = readKeyDialog();
+    const model = getAiSettings().gemini.model;
+
+    testBtn.disabled = true;
+    setKeyStatus(t('keyDialog.testing'));
+    try {
+        await testGeminiConnection({ key, proxyUrl, model });
+        setKeyStatus(t('keyDialog.testOk'), 'ok');
+    } catch (error) {
+        console.warn("Connection test failed:", error);
+        setKeyStatus(error.status === 404 ? t('keyDialog.modelNotFound', { model }) : describeAiError(error), 'error');
+    } finally {
+        testBtn.disabled = false;
+    }
+}
+
+function clearApiKey() {
+    setApiKey('');
+    document.getElementById('key-input').value = '';
+    updateKeyDialog();
+    setKeyStatus(t('apiKey.cleared'), 'ok');
+}
+
+function saveKeyDialog() {
+    // Nothing to save: the host page's proxy is not the reader's setting
+    if (getEmbedAiOverrides().proxyUrl) {
+        closeKeyDialog();
+        return;
+    }
+
+    const { key, proxyUrl, persist, isProxy } = readKeyDialog();
+    if (isProxy && !proxyUrl) {
+        setKeyStatus(t('keyDialog.proxyMissing'), 'error');
+        document.getElementById('key-proxy-url').focus();
+        return;
+    }
+
+    const settings = getSavedAiSettings();
+    settings.gemini.proxyUrl = proxyUrl;
+    saveAiSettings(settings);
+    // Proxy mode drops any stored key: the proxy holds it instead
+    setApiKey(key, { persist });
+    closeKeyDialog();
+}
+
+// sanitizeHtml(), renderMarkdown(), createTextElement() and renderSpeciesCard()
+// live in safe-render.js, loaded before this file.
+
+// --- Feature 1: Hive Mind (Chat) ---
+// Conversations are kept in localStorage so the transcript survives a reload:
+// { activeId, conversations: [{ id, title, createdAt, messages: [{ role, text }] }] }
+const HIVE_STORAGE_KEY = "hive_conversations";
+const HIVE_HISTORY_LIMIT = 20; // Max previous messages sent back to the model
+
+let hiveState = loadHiveState();
+
+function loadHiveState() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(HIVE_STORAGE_KEY));
+        if (saved && Array.isArray(saved.conversations) && saved.conversations.length > 0) {
+            return saved;
+        }
+    } catch (e) {
+        console.warn("Hive history could not be read, starting fresh.", e);
+    }
+    const first = createConversation();
+    return { activeId: first.id, conversations: [first] };
+}
+
+function saveHiveState() {
+    localStorage.setItem(HIVE_STORAGE_KEY, JSON.stringify(hiveState));
+}
+
+function createConversation() {
+    return {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        title: "",
+        createdAt: Date.now(),
+        messages: []
+    };
+}
+
+function getActiveConversation() {
+    let convo = hiveState.conversations.find(c => c.id === hiveState.activeId);
+    if (!convo) {
+        convo = hiveState.conversations[0];
+        hiveState.activeId = convo.id;
+    }
+    return convo;
+}
+
+function newConversation() {
+    const current = getActiveConversation();
+    // Reuse an empty conversation instead of piling up blank ones
+    if (current.messages.length === 0) return;
+
+    const convo = createConversation();
+    hiveState.conversations.unshift(convo);
+    hiveState.activeId = convo.id;
+    saveHiveState();
+    renderHiveTranscript();
+    document.getElementById('hive-input').focus();
+}
+
+function clearConversation() {
+    const current = getActiveConversation();
+    if (current.messages.length === 0) return;
+    if (!confirm(t('hive.confirmClear'))) return;
+
+    hiveState.conversations = hiveState.conversations.filter(c => c.id !== current.id);
+    if (hiveState.conversations.length === 0) {
+        hiveState.conversations.push(createConversation());
+    }
+    hiveState.activeId = hiveState.conversations[0].id;
+    saveHiveState();
+    renderHiveTranscript();
+}
+
+function selectConversation(id) {
+    hiveState.activeId = id;
+    saveHiveState();
+    renderHiveTranscript();
+}
+
+function renderConversationList() {
+    const selectEl = document.getElementById('hive-conversation-select');
+    if (!selectEl) return;
+
+    selectEl.innerHTML = '';
+    hiveState.conversations.forEach(convo => {
+        const option = document.createElement('option');
+        option.value = convo.id;
+        option.textContent = convo.title || t('hive.untitled');
+        option.selected = convo.id === hiveState.activeId;
+        selectEl.appendChild(option);
+    });
+}
+
+function createHiveBubble(message) {
+    const bubble = document.createElement('div');
+    if (message.role === 'user') {
+        bubble.className = 'hive-bubble hive-bubble-user';
+        bubble.textContent = message.text;
+    } else {
+        bubble.className = 'hive-bubble hive-bubble-model ai-response';
+        renderMarkdown(bubble, message.text);
+        finishModelBubble(bubble, message);
+    }
+    return bubble;
+}
+
+// Adds the stopped and cache notes and the read-aloud button to a complete answer
+function finishModelBubble(bubble, message) {
+    if (message.stopped) bubble.appendChild(createTextElement('p', 'hive-stopped-note', t('hive.stopped')));
+    if (message.cachedAt) {
+        const date = new Date(message.cachedAt).toLocaleDateString(currentLocale);
+        const key = message.offline ? 'hive.cachedOffline' : (message.unavailable ? 'hive.cachedUnavailable' : 'hive.cached');
+        bubble.appendChild(createTextElement('p', 'hive-cache-note', t(key, { date })));
+    }
+    if (message.text && speechAdapter.canSpeak()) {
+        bubble.appendChild(createReadAloudButton(message.text));
+    }
+}
+
+function renderHiveTranscript() {
+    const outputEl = document.getElementById('hive-output');
+    const placeholderEl = document.getElementById('hive-placeholder');
+    const messages = getActiveConversation().messages;
+
+    stopReadAloud();
+    outputEl.innerHTML = '';
+    messages.forEach(message => outputEl.appendChild(createHiveBubble(message)));
+
+    placeholderEl.classList.toggle('hidden', messages.length > 0);
+    outputEl.classList.toggle('hidden', messages.length === 0);
+    renderConversationList();
+    scrollHiveToBottom();
+}
+
+function scrollHiveToBottom() {
+    const containerEl = document.getElementById('hive-response-container');
+    containerEl.scrollTop = containerEl.scrollHeight;
+}
+
+// Only the most recent turns are sent back to the model (an answer stopped
+// before its first word has no text to send)
+function buildHiveMessages(messages) {
+    return messages.slice(-HIVE_HISTORY_LIMIT).filter(({ text }) => text).map(({ role, text }) => ({ role, text }));
+}
+
+// AbortController of the answer currently streaming (null when idle)
+let hiveAbortController = null;
+
+function setHiveStreaming(isStreaming) {
+    document.getElementById('hive-send-btn').classList.toggle('hidden', isStreaming);
+    document.getElementById('hive-stop-btn').classList.toggle('hidden', !isStreaming);
+    // Screen readers announce the answer once, when it is complete
+    document.getElementById('hive-output').setAttribute('aria-busy', String(isStreaming));
+}
+
+function stopHiveMind() {
+    if (hiveAbortController) hiveAbortController.abort();
+}
+
+async function askHiveMind() {
+    const inputEl = document.getElementById('hive-input');
+    const outputEl = document.getElementById('hive-output');
+    const placeholderEl = document.getElementById('hive-placeholder');
+
+    const query = inputEl.value.trim();
+    if (!query || hiveAbortController) return;
+    stopListening();
+
+    // Check Provider First
+    if (!ensureProviderReady()) return;
+
+    const convo = getActiveConversation();
+    convo.messages.push({ role: 'user', text: query });
+    if (!convo.title) convo.title = query.length > 20 ? query.substring(0, 20) + '…' : query;
+    saveHiveState();
+
+    // Clear input and show the question right away
+    inputEl.value = '';
+    placeholderEl.classList.add('hidden');
+    outputEl.classList.remove('hidden');
+    outputEl.appendChild(createHiveBubble(convo.messages[convo.messages.length - 1]));
+    renderConversationList();
+
+    await requestHiveAnswer(convo);
+}
+
+// Streams the model's reply to the last user message of `convo`, or replays
+// it from the answer cache. Failures are shown as an error bubble and are
+// not stored in the history.
+async function requestHiveAnswer(convo) {
+    const outputEl = document.getElementById('hive-output');
+    const loadingEl = document.getElementById('hive-loading');
+
+    // UI State: Loading (typing dots until the first chunk arrives)
+    loadingEl.classList.remove('hidden');
+    scrollHiveToBottom();
+
+    hiveAbortController = new AbortController();
+    setHiveStreaming(true);
+
+    const systemPrompt = t('hive.systemPrompt');
+
+    const answerBubble = createHiveBubble({ role: 'model', text: '' });
+    const request = { system: systemPrompt, messages: buildHiveMessages(convo.messages) };
+    const isVisible = () => hiveState.activeId === convo.id;
+
+    const cacheKey = getAnswerCacheKey(convo.messages);
+    const cached = cacheKey ? await getCachedAnswer(cacheKey) : null;
+
+    let answer = null;
+    let failure = null;
+    if (cached && isAnswerFresh(cached)) {
+        answer = { role: 'model', text: cached.text, cachedAt: cached.cachedAt };
+    } else {
+        try {
+            const text = await aiStream(request, {
+                signal: hiveAbortController.signal,
+                onChunk: (text) => {
+                    if (!answerBubble.isConnected && isVisible()) {
+                        loadingEl.classList.add('hidden');
+                        outputEl.appendChild(answerBubble);
+                    }
+                    renderMarkdown(answerBubble, text);
+                    scrollHiveToBottom();
+                }
+            });
+            answer = { role: 'model', text };
+        } catch (error) {
+            if (error.retryable && cached) {
+                // Shaky Wi-Fi, a timeout or a busy server: an expired answer is better than none
+                const reason = error.type === 'offline' ? { offline: true } : { unavailable: true };
+                answer = { role: 'model', text: cached.text, cachedAt: cached.cachedAt, ...reason };
+            } else {
+                console.error("Hive Mind Error:", error);
+                failure = error;
+            }
+        }
+    }
+
+    const wasStopped = hiveAbortController.signal.aborted;
+    hiveAbortController = null;
+    setHiveStreaming(false);
+    loadingEl.classList.add('hidden');
+
+    if (failure) {
+        voiceQuestionPending = false;
+        // Drop any half-streamed text; the error bubble offers a way forward
+        answerBubble.remove();
+        if (isVisible()) {
+            outputEl.appendChild(createHiveErrorBubble(failure, convo));
+            scrollHiveToBottom();
+        }
+        return;
+    }
+
+    if (answer.cachedAt) {
+        answerBubble.remove();
+    } else if (wasStopped) {
+        answer.stopped = true; // Shown by finishModelBubble, never sent to the model
+    } else if (cacheKey) {
+        saveCachedAnswer(cacheKey, convo.messages[0].text, answer.text);
+    }
+
+    convo.messages.push(answer);
+    saveHiveState();
+
+    // UI State: Show final result (only if the user is still looking at this conversation)
+    if (isVisible()) {
+        let finalBubble = answerBubble;
+        if (answer.cachedAt) {
+            finalBubble = createHiveBubble(answer);
+            outputEl.appendChild(finalBubble);
+        } else {
+            renderMarkdown(answerBubble, answer.text);
+            finishModelBubble(answerBubble, answer);
+            if (!answerBubble.isConnected) outputEl.appendChild(answerBubble);
+        }
+        scrollHiveToBottom();
+        // A spoken question gets a spoken answer
+        if (voiceQuestionPending && !wasStopped) readAloud(answer.text, finalBubble.querySelector('.hive-read-btn'));
+    }
+    voiceQuestionPending = false;
+}
+
+function createHiveErrorBubble(error, convo) {
+    const retry = () => {
+        bubble.remove();
+        requestHiveAnswer(convo);
+    };
+
+    // Put the unanswered question back into the input so it can be rephrased
+    const editQuestion = () => {
+        const last = convo.messages[convo.messages.length - 1];
+        if (last && last.role === 'user') {
+            convo.messages.pop();
+            saveHiveState();
+            renderHiveTranscript();
+            const inputEl = document.getElementById('hive-input');
+            inputEl.value = last.text;
+            inputEl.focus();
+        }
+    };
+
+    const actionsByType = {
+        invalid_key: [{ label: t('action.resetKey'), onClick: openKeySettings }, { label: t('action.retry'), onClick: retry }],
+        rate_limit: [{ label: t('action.retryLater'), onClick: retry }],
+        safety: [{ label: t('action.editQuestion'), onClick: editQuestion }],
+        timeout: [{ label: t('action.retry'), onClick: retry }],
+        offline: [{ label: t('action.retry'), onClick: retry }, { label: t('action.useMock'), onClick: () => { useMockProvider(); retry(); } }],
+        malformed: [{ label: t('action.retry'), onClick: retry }]
+    };
+
+    const bubble = createAiErrorNotice(error, actionsByType[error.type] || [{ label: t('action.retry'), onClick: retry }], 'hive-bubble hive-bubble-error');
+    return bubble;
+}
+
+// Notes under the answers are worded when drawn; a streaming answer is left alone
+document.addEventListener('localechange', () => {
+    if (hiveAbortController) {
+        renderConversationList();
+    } else {
+        renderHiveTranscript();
+    }
+}, { signal: bookLifetime.signal });
+
+window.addEventListener('DOMContentLoaded', () => {
+    renderHiveTranscript();
+
+    document.getElementById('hive-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.isComposing) askHiveMind();
+    });
+});
+
+// --- Voice Questions & Read-Aloud ---
+// A microphone button fills #hive-input through speech recognition and sends
+// the question; answers can be read aloud with speech synthesis. The browser
+// APIs sit behind `speechAdapter` (see createBrowserSpeechAdapter for the
+// interface), which setSpeechAdapter() can replace. Without the APIs the
+// microphone and read-aloud buttons are simply not shown.
+const SPEECH_LANGS = { 'zh-Hant': 'zh-TW', en: 'en-US' };
+
+function getSpeechLang() {
+    return SPEECH_LANGS[currentLocale] || currentLocale;
+}
+
+// SpeechInputError, createBrowserSpeechAdapter() and stripMarkdown() live in
+// speech.js, loaded before this file.
+
+let speechAdapter = createBrowserSpeechAdapter();
+let listenController = null;      // AbortController while the microphone is on
+let voiceQuestionPending = false; // The question being answered was spoken
+let readAloudButton = null;       // Button of the answer being read aloud
+
+function setSpeechAdapter(adapter) {
+    stopListening();
+    stopReadAloud();
+    speechAdapter = adapter;
+    updateVoiceControls();
+    renderHiveTranscript();
+}
+
+function updateVoiceControls() {
+    const micBtn = document.getElementById('hive-mic-btn');
+    const isListening = listenController !== null;
+    micBtn.classList.toggle('hidden', !speechAdapter.canListen());
+    micBtn.classList.toggle('is-listening', isListening);
+    micBtn.setAttribute('aria-pressed', String(isListening));
+    micBtn.title = t(isListening ? 'voice.stopListening' : 'voice.listen');
+    micBtn.setAttribute('aria-label', micBtn.title);
+}
+
+function setVoiceStatus(text) {
+    document.getElementById('hive-voice-status').textContent = text;
+}
+
+function toggleListening() {
+    if (listenController) {
+        stopListening();
+    } else {
+        startListening();
+    }
+}
+
+async function startListening() {
+    if (!speechAdapter.canListen() || listenController || hiveAbortController) return;
+    const inputEl = document.getElementById('hive-input');
+
+    stopReadAloud();
+    listenController = new AbortController();
+    updateVoiceControls();
+    setVoiceStatus(t('voice.listening'));
+
+    let transcript = '';
+    let failure = null;
+    try {
+        transcript = await speechAdapter.listen({
+            lang: getSpeechLang(),
+            signal: listenController.signal,
+            onInterim: (text) => { inputEl.value = text; }
+        });
+    } catch (error) {
+        console.warn("Voice input failed:", error);
+        failure = error;
+    }
+
+    listenController = null;
+    updateVoiceControls();
+
+    if (failure) {
+        const key = `voice.error.${failure.code}`;
+        setVoiceStatus(hasMessage(key) ? t(key) : t('voice.error.unknown'));
+        return;
+    }
+    if (!transcript) {
+        setVoiceStatus(t('voice.nothingHeard'));
+        return;
+    }
+
+    setVoiceStatus('');
+    inputEl.value = transcript;
+    voiceQuestionPending = true;
+    // Resolves once the answer is complete (or right away if no provider is set up)
+    await askHiveMind();
+    voiceQuestionPending = false;
+}
+
+function stopListening() {
+    if (listenController) listenController.abort();
+}
+
+function createReadAloudButton(text) {
+    const button = createTextElement('button', 'hive-read-btn', '🔊');
+    button.type = 'button';
+    button.title = t('voice.read');
+    button.setAttribute('aria-label', t('voice.read'));
+    button.setAttribute('aria-pressed', 'false');
+    button.addEventListener('click', () => {
+        if (readAloudButton === button) {
+            stopReadAloud();
+        } else {
+            readAloud(text, button);
+        }
+    });
+    return button;
+}
+
+function setReadAloudButton(button) {
+    if (readAloudButton) {
+        readAloudButton.setAttribute('aria-pressed', 'false');
+        readAloudButton.title = t('voice.read');
+        readAloudButton.setAttribute('aria-label', t('voice.read'));
+    }
+    readAloudButton = button;
+    if (button) {
+        button.setAttribute('aria-pressed', 'true');
+        button.title = t('voice.stopReading');
+        button.setAttribute('aria-label', t('voice.stopReading'));
+    }
+}
+
+function readAloud(markdown, button) {
+    if (!speechAdapter.canSpeak()) return;
+    setReadAloudButton(button || null);
+    speechAdapter.speak(stripMarkdown(markdown), {
+        lang: getSpeechLang(),
+        onEnd: () => {
+            if (readAloudButton === button) setReadAloudButton(null);
+        }
+    });
+}
+
+function stopReadAloud() {
+    setReadAloudButton(null);
+    if (speechAdapter.canSpeak()) speechAdapter.stopSpeaking();
+}
+
+// Leaving the knowledge page switches both off
+function stopVoice() {
+    stopListening();
+    stopReadAloud();
+}
+
+window.addEventListener('DOMContentLoaded', updateVoiceControls);
+document.addEventListener('localechange', () => {
+    stopVoice();
+    updateVoiceControls();
+}, { signal: bookLifetime.signal });
+
+// --- Hive Mind Answer Cache ---
+// At exhibitions many visitors ask the same few questions (often the ones
+// printed on the page) over shaky Wi-Fi. Answers to a conversation's opening
+// question are kept in IndexedDB, keyed by provider + model, language and the
+// normalized question. Fresh entries are replayed without a request; expired
+// ones are only used when the request fails with a retryable error (offline,
+// timeout, rate limit, server error). Follow-up questions are never
+// cached because their answer depends on the conversation so far.
+const ANSWER_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // ms
+
+// "蜜蜂為什麼會跳舞？" and "蜜蜂 為什麼會跳舞?" share one entry
+function normalizeQuestion(text) {
+    return text.normalize('NFKC').toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+function getAnswerCacheProvider() {
+    const settings = getAiSettings();
+    if (settings.provider === 'gemini') return `gemini:${settings.gemini.model}`;
+    if (settings.provider === 'openai') return `openai:${settings.openai.baseUrl}:${settings.openai.model}`;
+    return null; // The offline mock answers locally anyway
+}
+
+// Returns null when the answer should not be cached
+function getAnswerCacheKey(messages) {
+    if (messages.length !== 1) return null;
+    const provider = getAnswerCacheProvider();
+    const question = normalizeQuestion(messages[0].text);
+    if (!provider || !question) return null;
+    return [provider, currentLocale, question].join('|');
+}
+
+function isAnswerFresh(entry) {
+    return Date.now() - entry.cachedAt < ANSWER_CACHE_TTL;
+}
+
+// The cache is a convenience: if IndexedDB is unavailable, every question just goes to the network
+async function getCachedAnswer(id) {
+    try {
+        return (await runStoreRequest(ANSWER_CACHE_STORE, 'readonly', store => store.get(id))) || null;
+    } catch (error) {
+        console.warn("Answer cache unavailable:", error);
+        return null;
+    }
+}
+
+async function saveCachedAnswer(id, question, text) {
+    try {
+        await runStoreRequest(ANSWER_CACHE_STORE, 'readwrite', store => store.put({ id, question, text, cachedAt: Date.now() }));
+    } catch (error) {
+        console.warn("Answer cache unavailable:", error);
+    }
+}
+
+// Shown in the AI settings dialog next to the clear button
+async function renderAnswerCacheStatus(message) {
+    const statusEl = document.getElementById('settings-cache-status');
+    const clearBtn = document.getElementById('settings-cache-clear');
+
+    let count = 0;
+    try {
+        count = await runStoreRequest(ANSWER_CACHE_STORE, 'readonly', store => store.count());
+    } catch (error) {
+        console.warn("Answer cache unavailable:", error);
+    }
+    statusEl.textContent = message || t('settings.cacheCount', { count, days: ANSWER_CACHE_TTL / (24 * 60 * 60 * 1000) });
+    clearBtn.disabled = count === 0;
+}
+
+async function clearAnswerCache() {
+    try {
+        await runStoreRequest(ANSWER_CACHE_STORE, 'readwrite', store => store.clear());
+    } catch (error) {
+        console.warn("Answer cache unavailable:", error);
+    }
+    await renderAnswerCacheStatus(t('settings.cacheCleared'));
+}
+
+// --- Feature 2: Species Generator ---
+// Enum codes stored with each profile; labels come from the catalog
+// (activeTime.<code>, conservation.<code>)
+const ACTIVE_TIMES = ['diurnal', 'nocturnal', 'crepuscular'];
+const CONSERVATION_STATUSES = ['LC', 'NT', 'VU', 'EN', 'CR', 'DD', 'NE'];
+
+// Also used as the filter list of the field journal and by the curated dataset.
+// The prompt for each id is the catalog entry category.<id>.
+const SPECIES_CATEGORIES = [
+    { id: 'rainforest-birds' },
+    { id: 'nocturnal' },
+    { id: 'beetles-flies' },
+    { id: 'non-insects' },
+    { id: 'orchid-specialists' },
+    { id: 'desert' },
+    { id: 'alpine-cold' },
+    { id: 'butterflies' }
+];
+
+function getCategoryPrompt(categoryId) {
+    return SPECIES_CATEGORIES.some(c => c.id === categoryId) ? t(`category.${categoryId}`) : '';
+}
+
+// 'desert' -> "沙漠植物的授粉者" (the prompt without its examples)
+function getCategoryLabel(categoryId) {
+    return getCategoryPrompt(categoryId).split('(')[0].trim();
+}
+
+const SPECIES_SCHEMA = {
+    type: 'object',
+    properties: {
+        // Descriptions stay language-neutral; the prompt names the reply language
+        name: { type: 'string', description: "Common name of the species" },
+        latinName: { type: 'string', description: "Scientific (Latin) name" },
+        icon: { type: 'string', description: "One emoji that best represents the species (a similar animal for rare species)" },
+        habitat: { type: 'string', description: "Short description of its habitat" },
+        description: { type: 'string', description: "A graceful 2-3 sentence introduction: how it pollinates and one surprising fact" },
+        order: { type: 'string', description: "Taxonomic order, e.g. Lepidoptera" },
+        family: { type: 'string', description: "Taxonomic family, e.g. Sphingidae" },
+        pollinates: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            description: "Plants it mainly pollinates (1-4)"
+        },
+        activeTime: { type: 'string', enum: ACTIVE_TIMES, description: "When it is mainly active" },
+        conservationStatus: { type: 'string', enum: CONSERVATION_STATUSES, description: "IUCN Red List category code" }
+    },
+    required: ['name', 'latinName', 'icon', 'habitat', 'description', 'order', 'family', 'pollinates', 'activeTime', 'conservationStatus']
+};
+
+// One profile at a time: further clicks (and retries) while one is loading
+// get the same request, and the button stays disabled until it settles
+let speciesRequest = null;
+
+function generateSpeciesProfile() {
+    if (!speciesRequest) {
+        const button = document.getElementById('species-generate-btn');
+        button.disabled = true;
+        speciesRequest = loadSpeciesProfile().finally(() => {
+            speciesRequest = null;
+            button.disabled = false;
+        });
+    }
+    return speciesRequest;
+}
+
+// Picks the AI or the curated dataset, depending on mode and availability
+async function loadSpeciesProfile() {
+    if (isCuratedMode() || !getActiveProvider().isAvailable()) {
+        await showCuratedSpecies();
+        return;
+    }
+
+    const contentEl = document.getElementById('species-content');
+    const loadingEl = document.getElementById('species-loading');
+
+    loadingEl.classList.remove('hidden');
+    contentEl.setAttribute('aria-busy', 'true');
+
+    // Diversity Injection: Randomly select a category to force variety
+    const randomCategory = SPECIES_CATEGORIES[Math.floor(Math.random() * SPECIES_CATEGORIES.length)];
+    const randomSeed = Math.floor(Math.random() * 100000); // Add noise to prompt
+
+    const systemPrompt = t('species.prompt', { category: getCategoryPrompt(randomCategory.id), seed: randomSeed });
+
+    try {
+        const data = await aiGenerateJson({ messages: [{ role: 'user', text: systemPrompt }] }, SPECIES_SCHEMA);
+
+        showSpeciesCard({ ...data, category: randomCategory.id });
+        recordInJournal({ ...data, category: randomCategory.id, source: 'ai' });
+    } catch (error) {
+        console.error("Species Generator Error:", error);
+        loadingEl.classList.add('hidden');
+        contentEl.setAttribute('aria-busy', 'false');
+        if (error.type === 'offline') {
+            // No network: the curated dataset keeps the page useful
+            await showCuratedSpecies(t('species.offlineNotice'));
+            return;
+        }
+        showSpeciesError(error);
+    }
+
+    loadingEl.classList.add('hidden');
+    contentEl.setAttribute('aria-busy', 'false');
+}
+
+// The profile currently on the card, so it can be redrawn in another language
+let shownSpecies = null;
+
+function showSpeciesCard(profile) {
+    shownSpecies = profile;
+    const contentEl = document.getElementById('species-content');
+    contentEl.replaceChildren(renderSpeciesCard(localizeRecord(profile), getCategoryLabel(profile.category)));
+    showSpeciesModel(profile);
+}
+
+function showSpeciesError(error) {
+    const contentEl = document.getElementById('species-content');
+    document.getElementById('species-journal-status').textContent = '';
+    shownSpecies = null;
+    showSpeciesModel(null);
+    const retry = () => generateSpeciesProfile();
+
+    const actionsByType = {
+        invalid_key: [{ label: t('action.resetKey'), onClick: openKeySettings }],
+        rate_limit: [{ label: t('action.retryLater'), onClick: retry }],
+        safety: [{ label: t('action.anotherSpecies'), onClick: retry }],
+        timeout: [{ label: t('action.retry'), onClick: retry }],
+        offline: [{ label: t('action.retry'), onClick: retry }, { label: t('action.useMock'), onClick: () => { useMockProvider(); retry(); } }],
+        malformed: [{ label: t('action.regenerate'), onClick: retry }]
+    };
+
+    contentEl.replaceChildren(createAiErrorNotice(error, actionsByType[error.type] || [{ label: t('action.retry'), onClick: retry }], 'species-error'));
+}
+
+document.addEventListener('localechange', () => {
+    if (shownSpecies) showSpeciesCard(shownSpecies);
+}, { signal: bookLifetime.signal });
+
+
+// --- Curated Offline Dataset ---
+// Real pollinators bundled with the book (data/pollinators.json). Used when no
+// AI provider is configured, when offline, or when the reader turns on
+// curated mode. Picks come from a shuffled "bag" that is only refilled once
+// every species has been shown, so nothing repeats within a cycle.
+const CURATED_MODE_KEY = "species_curated_mode";
+const CURATED_BAG_KEY = "curated_species_bag";
+
+let curatedSpeciesPromise = null;
+
+function loadCuratedSpecies() {
+    if (!curatedSpeciesPromise) {
+        curatedSpeciesPromise = fetch('data/pollinators.json').then(response => {
+            if (!response.ok) throw new Error(`Dataset Error: ${response.status}`);
+            return response.json();
+        });
+        curatedSpeciesPromise.catch(() => { curatedSpeciesPromise = null; });
+    }
+    return curatedSpeciesPromise;
+}
+
+function isCuratedMode() {
+    return localStorage.getItem(CURATED_MODE_KEY) === 'true';
+}
+
+function setCuratedMode(enabled) {
+    localStorage.setItem(CURATED_MODE_KEY, enabled ? 'true' : 'false');
+}
+
+function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Draws the next species from the persisted bag of remaining latin names
+function pickCuratedSpecies(dataset) {
+    const known = new Set(dataset.map(s => s.latinName));
+    let state = {};
+    try {
+        state = JSON.parse(localStorage.getItem(CURATED_BAG_KEY)) || {};
+    } catch (e) {
+        state = {};
+    }
+
+    // Drop names that are no longer in the dataset (e.g. after an update)
+    let bag = (state.remaining || []).filter(name => known.has(name));
+    if (bag.length === 0) {
+        bag = shuffle([...known]);
+        // Don't let a new cycle start with the species that ended the last one
+        if (bag.length > 1 && bag[0] === state.last) bag.push(bag.shift());
+    }
+
+    const next = bag.shift();
+    localStorage.setItem(CURATED_BAG_KEY, JSON.stringify({ remaining: bag, last: next }));
+    return dataset.find(s => s.latinName === next);
+}
+
+async function showCuratedSpecies(notice) {
+    const contentEl = document.getElementById('species-content');
+    const statusEl = document.getElementById('species-journal-status');
+
+    try {
+        const species = pickCuratedSpecies(await loadCuratedSpecies());
+        showSpeciesCard(species);
+        await recordInJournal({ ...species, source: 'curated' });
+        statusEl.textContent = notice || t('species.curatedNotice', { status: statusEl.textContent });
+    } catch (error) {
+        console.error("Curated Dataset Error:", error);
+        shownSpecies = null;
+        showSpeciesModel(null);
+        contentEl.replaceChildren(createTextElement('p', 'text-red-400 text-sm', t('species.curatedError')));
+        statusEl.textContent = '';
+    }
+}
+
+// --- Photo Identification ---
+// Readers photograph insects on flowers outside; the knowledge panel sends a
+// resized copy to the model with the text prompt and shows the answer as a
+// species card (the same one the species page renders), which can be saved
+// to the field journal. A photo the model cannot identify gets a request to
+// try again instead of a guessed card.
+const PHOTO_MAX_SIZE = 1024; // px, longest side sent to the model
+const PHOTO_JPEG_QUALITY = 0.85;
+
+const PHOTO_SPECIES_SCHEMA = {
+    ...SPECIES_SCHEMA,
+    properties: {
+        ...SPECIES_SCHEMA.properties,
+        category: {
+            type: 'string',
+            enum: SPECIES_CATEGORIES.map(c => c.id),
+            description: "The closest of the given categories"
+        }
+    }
+};
+
+// The profile is only present when something was identified
+const PHOTO_RESULT_SCHEMA = {
+    type: 'object',
+    properties: {
+        identified: { type: 'boolean', description: "Whether a flower or pollinator could be identified with confidence" },
+        reason: { type: 'string', description: "Why nothing could be identified (only when identified is false)" },
+        species: PHOTO_SPECIES_SCHEMA
+    },
+    required: ['identified']
+};
+
+let photoImage = null;   // { mimeType, data, dataUrl } of the current photo
+let photoProfile = null; // Profile identified from it
+let photoUnidentified = null; // { reason } when the model could not identify it
+let photoRequestId = 0;
+
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error("Image could not be decoded"));
+        img.src = url;
+    });
+}
+
+// Scales the photo down to PHOTO_MAX_SIZE and re-encodes it as JPEG, so a
+// 12-megapixel phone picture doesn't have to travel over exhibition Wi-Fi
+async function resizePhoto(file) {
+    if (!file.type.startsWith('image/')) throw new Error(`Not an image: ${file.type}`);
+    const url = URL.createObjectURL(file);
+    try {
+        const img = await loadImage(url);
+        const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(img.naturalWidth * scale);
+        canvas.height = Math.round(img.naturalHeight * scale);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        const dataUrl = canvas.toDataURL('image/jpeg', PHOTO_JPEG_QUALITY);
+        return { mimeType: 'image/jpeg', data: dataUrl.split(',')[1], dataUrl };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Change handler of both file inputs (camera and upload)
+async function onPhotoSelected(inputEl) {
+    const file = inputEl.files && inputEl.files[0];
+    inputEl.value = ''; // Picking the same file again should still trigger a change
+    if (!file || !ensureProviderReady()) return;
+
+    const requestId = ++photoRequestId;
+    const resultEl = document.getElementById('photo-result');
+    resultEl.classList.remove('hidden');
+    setPhotoStatus('');
+
+    try {
+        photoImage = await resizePhoto(file);
+    } catch (error) {
+        console.warn("Photo could not be read:", error);
+        if (requestId !== photoRequestId) return;
+        photoImage = null;
+        photoProfile = null;
+        photoUnidentified = null;
+        document.getElementById('photo-preview').classList.add('hidden');
+        document.getElementById('photo-save-btn').classList.add('hidden');
+        document.getElementById('photo-content').replaceChildren(createTextElement('p', 'text-red-400 text-sm', t('photo.readError')));
+        return;
+    }
+    if (requestId !== photoRequestId) return;
+
+    const previewEl = document.getElementById('photo-preview');
+    previewEl.src = photoImage.dataUrl;
+    previewEl.classList.remove('hidden');
+    await identifyPhoto(requestId);
+}
+
+async function identifyPhoto(requestId = ++photoRequestId) {
+    const contentEl = document.getElementById('photo-content');
+    const saveBtn = document.getElementById('photo-save-btn');
+
+    photoProfile = null;
+    photoUnidentified = null;
+    saveBtn.classList.add('hidden');
+    contentEl.setAttribute('aria-busy', 'true');
+    contentEl.replaceChildren(createTextElement('p', 'text-gold animate-pulse text-sm tracking-widest', t('photo.identifying')));
+
+    const message = {
+        role: 'user',
+        text: t('photo.prompt'),
+        images: [{ mimeType: photoImage.mimeType, data: photoImage.data }]
+    };
+
+    try {
+        const result = await aiGenerateJson({ messages: [message] }, PHOTO_RESULT_SCHEMA);
+        if (requestId !== photoRequestId) return;
+        if (result.identified && result.species) {
+            showPhotoCard(result.species);
+        } else {
+            showPhotoUnidentified({ reason: result.reason || '' });
+        }
+    } catch (error) {
+        console.error("Photo Identification Error:", error);
+        if (requestId !== photoRequestId) return;
+        showPhotoError(error);
+    } finally {
+        if (requestId === photoRequestId) contentEl.setAttribute('aria-busy', 'false');
+    }
+}
+
+function showPhotoCard(profile) {
+    photoProfile = profile;
+    const saveBtn = document.getElementById('photo-save-btn');
+    document.getElementById('photo-content').replaceChildren(renderSpeciesCard(localizeRecord(profile), getCategoryLabel(profile.category)));
+    saveBtn.disabled = false;
+    saveBtn.classList.remove('hidden');
+}
+
+// No card and nothing to save; the reader takes or uploads another photo
+function showPhotoUnidentified(result) {
+    photoUnidentified = result;
+    document.getElementById('photo-save-btn').classList.add('hidden');
+    const notice = document.createElement('div');
+    notice.className = 'species-error';
+    notice.appendChild(createTextElement('p', 'text-sm', t('photo.unidentified')));
+    if (result.reason) notice.appendChild(createTextElement('p', 'text-xs text-gray-400 mt-2', result.reason));
+    document.getElementById('photo-content').replaceChildren(notice);
+}
+
+function showPhotoError(error) {
+    const retry = () => identifyPhoto();
+    const actionsByType = {
+        invalid_key: [{ label: t('action.resetKey'), onClick: openKeySettings }],
+        rate_limit: [{ label: t('action.retryLater'), onClick: retry }],
+        offline: [{ label: t('action.retry'), onClick: retry }, { label: t('action.useMock'), onClick: () => { useMockProvider(); retry(); } }],
+        malformed: [{ label: t('action.regenerate'), onClick: retry }]
+    };
+    document.getElementById('photo-content').replaceChildren(
+        createAiErrorNotice(error, actionsByType[error.type] || [{ label: t('action.retry'), onClick: retry }], 'species-error'));
+}
+
+function setPhotoStatus(text) {
+    document.getElementById('photo-status').textContent = text;
+}
+
+async function savePhotoCard() {
+    if (!photoProfile) return;
+    const saveBtn = document.getElementById('photo-save-btn');
+    saveBtn.disabled = true;
+    try {
+        const { isNew } = await saveToJournal({ ...photoProfile, source: 'photo' });
+        setPhotoStatus(isNew ? t('journal.saved') : t('journal.duplicate'));
+        renderJournal();
+    } catch (error) {
+        console.warn("Field journal unavailable:", error);
+        setPhotoStatus(t('photo.saveError'));
+        saveBtn.disabled = false;
+    }
+}
+
+document.addEventListener('localechange', () => {
+    if (photoProfile) showPhotoCard(photoProfile);
+    if (photoUnidentified) showPhotoUnidentified(photoUnidentified);
+}, { signal: bookLifetime.signal });
+
+// --- Feature 3: Field Journal ---
+// Every generated profile is kept in IndexedDB so it can be browsed again
+// without another API call. Entries are keyed by normalized latin name,
+// which is also how duplicates are detected.
+const BOOK_DB_NAME = "pollination-book";
+const BOOK_DB_VERSION = 2;
+const JOURNAL_STORE = "journal";
+const ANSWER_CACHE_STORE = "answers"; // Hive Mind answer cache (version 2)
+
+let bookDbPromise = null;
+let journalFilter = { category: null, query: '' };
+
+function openBookDb() {
+    if (!bookDbPromise) {
+        bookDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(BOOK_DB_NAME, BOOK_DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    db.createObjectStore(JOURNAL_STORE, { keyPath: 'id' });
+                }
+                if (event.oldVersion < 2) {
+                    db.createObjectStore(ANSWER_CACHE_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later retry if the database could not be opened
+        bookDbPromise.catch(() => { bookDbPromise = null; });
+    }
+    return bookDbPromise;
+}
 
-function getApiKey() {
-    return localStorage.getItem("gemini_api_key") || "";
+// Promise wrapper around a single IDBRequest in a fresh transaction
+async function runStoreRequest(storeName, mode, makeRequest) {
+    const db = await openBookDb();
+    return new Promise((resolve, reject) => {
+        const store = db.transaction(storeName, mode).objectStore(storeName);
+        const request = makeRequest(store);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
 }
 
-function manageApiKey() {
-    const currentKey = getApiKey();
-    // Mask the key for display if it exists
-    const displayKey = currentKey ? (currentKey.substring(0, 4) + '...' + currentKey.substring(currentKey.length - 4)) : '';
+function getJournalId(latinName) {
+    return latinName.trim().toLowerCase().replace(/\s+/g, ' ');
+}
 
-    const newKey = prompt("請輸入您的 Google Gemini API Key:\n(您的 Key 會被儲存在瀏覽器本地端，不會上傳到任何伺服器)", currentKey);
+// Resolves to { entry, isNew }. A duplicate keeps its original entry and only
+// counts how many times it has been encountered.
+async function saveToJournal(profile) {
+    const id = getJournalId(profile.latinName);
+    const existing = await runStoreRequest(JOURNAL_STORE, 'readonly', store => store.get(id));
 
-    if (newKey !== null) { // If not cancelled
-        if (newKey.trim() === "") {
-            localStorage.removeItem("gemini_api_key");
-            alert("API Key 已清除。");
-        } else {
-            localStorage.setItem("gemini_api_key", newKey.trim());
-            alert("API Key 已儲存！現在您可以開始使用 AI 功能了。");
-        }
-    }
+    const entry = existing
+        ? { ...existing, seenCount: (existing.seenCount || 1) + 1, lastSeenAt: Date.now() }
+        : { ...profile, id, seenCount: 1, savedAt: Date.now(), lastSeenAt: Date.now() };
+
+    await runStoreRequest(JOURNAL_STORE, 'readwrite', store => store.put(entry));
+    return { entry, isNew: !existing };
 }
 
-function checkApiKey() {
-    const key = getApiKey();
-    if (!key) {
-        const proceed = confirm("尚未設定 Gemini API Key，AI 功能將無法運作。\n是否現在設定？");
-        if (proceed) {
-            manageApiKey();
-            return getApiKey() !== ""; // Return true if they set it
-        }
-        return false;
-    }
-    return true;
+async function getJournalEntries() {
+    const entries = await runStoreRequest(JOURNAL_STORE, 'readonly', store => store.getAll());
+    return entries.sort((a, b) => b.savedAt - a.savedAt);
 }
 
-async function callGemini(prompt) {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-        // Double check in case of race/logic flow, though usually handled by upstream
-        const hasKey = checkApiKey();
-        if (!hasKey) return "請先設定 API Key 才能使用此功能。";
-        // If they set it, continue
+async function recordInJournal(profile) {
+    const statusEl = document.getElementById('species-journal-status');
+    try {
+        const { isNew } = await saveToJournal(profile);
+        statusEl.textContent = isNew ? t('journal.saved') : t('journal.duplicate');
+        renderJournal();
+    } catch (error) {
+        console.warn("Field journal unavailable:", error);
+        statusEl.textContent = "";
     }
+}
+
+function matchesJournalFilter(entry) {
+    if (journalFilter.category !== null && entry.category !== journalFilter.category) return false;
 
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-lite:generateContent?key=${getApiKey()}`;
+    const query = journalFilter.query.trim().toLowerCase();
+    if (!query) return true;
+    // Curated entries can be found by either language's name
+    const names = [entry.name, entry.latinName, entry.en ? entry.en.name : ''];
+    return names.some(name => name.toLowerCase().includes(query));
+}
+
+function setJournalCategory(category) {
+    journalFilter.category = category;
+    renderJournal();
+}
 
-    const payload = {
-        contents: [{
-            parts: [{ text: prompt }]
-        }]
+function renderJournalFilters(entries) {
+    const filtersEl = document.getElementById('journal-filters');
+    filtersEl.replaceChildren();
+
+    const addChip = (label, category, count) => {
+        const chip = createTextElement('button', 'journal-chip', `${label} ${count}`);
+        const isActive = journalFilter.category === category;
+        chip.classList.toggle('active', isActive);
+        chip.setAttribute('aria-pressed', String(isActive));
+        chip.addEventListener('click', () => setJournalCategory(category));
+        filtersEl.appendChild(chip);
     };
 
-    try {
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
+    addChip(t('journal.all'), null, entries.length);
+    SPECIES_CATEGORIES.forEach(({ id }) => {
+        addChip(getCategoryLabel(id), id, entries.filter(e => e.category === id).length);
+    });
+}
 
-        if (!response.ok) {
-            const errData = await response.json();
-            console.error("API Detailed Error:", errData);
-            throw new Error(`API Error: ${response.status}`);
-        }
+function createJournalCard(record) {
+    const entry = localizeRecord(record);
+    const card = createTextElement('button', 'journal-card');
+    card.appendChild(createTextElement('span', 'text-3xl mb-2', entry.icon));
+    card.appendChild(createTextElement('span', 'serif-font text-white text-sm', entry.name));
+    card.appendChild(createTextElement('span', 'text-[#8A9A5B] italic text-xs serif-font', entry.latinName));
+    card.appendChild(createTextElement('span', 'text-gray-500 text-[10px] mt-2', getCategoryLabel(entry.category)));
+    card.addEventListener('click', () => openJournalEntry(record));
+    return card;
+}
+
+async function renderJournal() {
+    const gridEl = document.getElementById('journal-grid');
+    const emptyEl = document.getElementById('journal-empty');
 
-        const data = await response.json();
-        return data.candidates[0].content.parts[0].text;
+    let entries = [];
+    try {
+        entries = await getJournalEntries();
     } catch (error) {
-        console.error("Gemini Error:", error);
-        return `連線發生錯誤：${error.message}。\n請檢查您的 API Key 是否正確。`;
+        console.warn("Field journal unavailable:", error);
     }
+
+    renderJournalFilters(entries);
+
+    const visible = entries.filter(matchesJournalFilter);
+    gridEl.replaceChildren(...visible.map(createJournalCard));
+
+    emptyEl.textContent = entries.length === 0
+        ? t('journal.empty')
+        : t('journal.noMatch');
+    emptyEl.classList.toggle('hidden', visible.length > 0);
 }
 
-// --- Feature 1: Hive Mind (Chat) ---
-async function askHiveMind() {
-    const inputEl = document.getElementById('hive-input');
-    const outputEl = document.getElementById('hive-output');
-    const placeholderEl = document.getElementById('hive-placeholder');
-    const loadingEl = document.getElementById('hive-loading');
+// Shows a saved card again straight from the journal (no API call)
+function openJournalEntry(entry) {
+    const contentEl = document.getElementById('species-content');
+    showSpeciesCard(entry);
+    document.getElementById('species-journal-status').textContent = t('journal.opened');
+    contentEl.scrollIntoView({ behavior: reducedMotion ? 'auto' : 'smooth', block: 'center' });
+}
 
-    const query = inputEl.value.trim();
-    if (!query) return;
+window.addEventListener('DOMContentLoaded', () => {
+    const curatedToggle = document.getElementById('curated-mode-toggle');
+    curatedToggle.checked = isCuratedMode();
+    curatedToggle.addEventListener('change', () => setCuratedMode(curatedToggle.checked));
+
+    document.getElementById('journal-search').addEventListener('input', (e) => {
+        journalFilter.query = e.target.value;
+        renderJournal();
+    });
+    renderJournal();
+});
 
-    // Check Key First
-    if (!getApiKey()) {
-        const hasKey = checkApiKey();
-        if (!hasKey) return;
+document.addEventListener('localechange', () => renderJournal(), { signal: bookLifetime.signal });
+
+// --- Feature 4: Pollination Quiz ---
+// Rounds of multiple-choice questions, written by the AI (validated against
+// QUIZ_SCHEMA) or drawn from the bundled bank in data/quiz.json when no
+// provider is configured or the network is down. Finished rounds are kept
+// in localStorage so a student can see their progress across sessions.
+const QUIZ_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const QUIZ_ROUND_LENGTH = 5;
+const QUIZ_DIFFICULTY_KEY = "quiz_difficulty";
+const QUIZ_RESULTS_KEY = "quiz_results";
+const QUIZ_MAX_RESULTS = 50;
+
+const QUIZ_SCHEMA = {
+    type: 'object',
+    properties: {
+        questions: {
+            type: 'array',
+            minItems: QUIZ_ROUND_LENGTH,
+            maxItems: QUIZ_ROUND_LENGTH,
+            items: {
+                type: 'object',
+                properties: {
+                    question: { type: 'string', description: "The question" },
+                    options: { type: 'array', items: { type: 'string' }, minItems: 4, maxItems: 4, description: "Exactly four answer options" },
+                    answer: { type: 'integer', minimum: 0, maximum: 3, description: "Index (0-3) of the correct option" },
+                    explanation: { type: 'string', description: "One or two sentences explaining the correct answer" }
+                },
+                required: ['question', 'options', 'answer', 'explanation']
+            }
+        }
+    },
+    required: ['questions']
+};
+
+// { difficulty, source: 'ai' | 'bank', questions, index, score, choice } while a round is on screen
+let quizRound = null;
+let quizRequestId = 0; // Ignores replies for a round that has since been restarted
+let quizBankPromise = null;
+
+function loadQuizBank() {
+    if (!quizBankPromise) {
+        quizBankPromise = fetch('data/quiz.json').then(response => {
+            if (!response.ok) throw new Error(`Quiz Bank Error: ${response.status}`);
+            return response.json();
+        });
+        quizBankPromise.catch(() => { quizBankPromise = null; });
     }
+    return quizBankPromise;
+}
 
-    // UI State: Loading
-    loadingEl.classList.remove('hidden');
-    placeholderEl.classList.add('hidden');
-    outputEl.classList.add('hidden');
+function getQuizDifficulty() {
+    const saved = localStorage.getItem(QUIZ_DIFFICULTY_KEY);
+    return QUIZ_DIFFICULTIES.includes(saved) ? saved : 'easy';
+}
 
-    const systemPrompt = `你是一位博學、語氣溫柔且充滿詩意的自然學家。請用繁體中文回答使用者關於「${query}」的問題。內容請聚焦於授粉、生態平衡或植物學知識。保持回答在 150 字以內，並使用 markdown 格式強調重點。`;
+function setQuizDifficulty(difficulty) {
+    localStorage.setItem(QUIZ_DIFFICULTY_KEY, difficulty);
+    renderQuizLevels();
+    renderQuizHistory();
+}
 
-    const responseText = await callGemini(systemPrompt);
+function getQuizResults() {
+    try {
+        const results = JSON.parse(localStorage.getItem(QUIZ_RESULTS_KEY));
+        return Array.isArray(results) ? results : [];
+    } catch (e) {
+        return [];
+    }
+}
 
-    // UI State: Show Result
-    loadingEl.classList.add('hidden');
-    outputEl.classList.remove('hidden');
-    outputEl.innerHTML = marked.parse(responseText); // Parse markdown
+function saveQuizResult(result) {
+    const results = [...getQuizResults(), result].slice(-QUIZ_MAX_RESULTS);
+    localStorage.setItem(QUIZ_RESULTS_KEY, JSON.stringify(results));
+}
 
-    // Clear input
-    inputEl.value = '';
+// Shuffles the options of a question and moves `answer` along with them,
+// so the correct option isn't always in the same place
+function shuffleQuizOptions(question) {
+    const order = shuffle(question.options.map((option, i) => i));
+    const reorder = (options) => order.map(i => options[i]);
+    const shuffled = { ...question, options: reorder(question.options), answer: order.indexOf(question.answer) };
+    if (question.en && question.en.options) shuffled.en = { ...question.en, options: reorder(question.en.options) };
+    return shuffled;
 }
 
-// --- Feature 2: Species Generator ---
-async function generateSpeciesProfile() {
-    const contentEl = document.getElementById('species-content');
-    const loadingEl = document.getElementById('species-loading');
+async function getBankQuestions(difficulty) {
+    const bank = await loadQuizBank();
+    return shuffle(bank.filter(q => q.difficulty === difficulty)).slice(0, QUIZ_ROUND_LENGTH);
+}
+
+async function getAiQuestions(difficulty) {
+    const prompt = t('quiz.prompt', {
+        count: QUIZ_ROUND_LENGTH,
+        level: t(`quiz.levelPrompt.${difficulty}`),
+        seed: Math.floor(Math.random() * 100000)
+    });
+    const data = await aiGenerateJson({ messages: [{ role: 'user', text: prompt }] }, QUIZ_SCHEMA);
+    return data.questions;
+}
 
-    // Check Key First
-    if (!getApiKey()) {
-        const hasKey = checkApiKey();
-        if (!hasKey) return;
+// The offline mock has no quiz replies, so it uses the bank as well
+function canWriteQuizWithAi() {
+    return getAiSettings().provider !== 'mock' && getActiveProvider().isAvailable();
+}
+
+async function startQuizRound({ useBank = false } = {}) {
+    const requestId = ++quizRequestId;
+    const difficulty = getQuizDifficulty();
+    const stageEl = document.getElementById('quiz-stage');
+    const statusEl = document.getElementById('quiz-status');
+
+    quizRound = null;
+    stageEl.setAttribute('aria-busy', 'true');
+    stageEl.replaceChildren(createTextElement('p', 'text-gray-500 text-sm animate-pulse', t('quiz.loading')));
+    statusEl.textContent = '';
+
+    let questions;
+    let source = 'ai';
+    try {
+        if (useBank || !canWriteQuizWithAi()) {
+            source = 'bank';
+            questions = await getBankQuestions(difficulty);
+        } else {
+            try {
+                questions = await getAiQuestions(difficulty);
+            } catch (error) {
+                if (error.type !== 'offline') throw error;
+                // No network: the bundled bank keeps the quiz usable
+                source = 'bank';
+                questions = await getBankQuestions(difficulty);
+                statusEl.textContent = t('quiz.offlineNotice');
+            }
+        }
+    } catch (error) {
+        if (requestId !== quizRequestId) return;
+        console.error("Quiz Error:", error);
+        stageEl.setAttribute('aria-busy', 'false');
+        showQuizError(error);
+        return;
     }
+    if (requestId !== quizRequestId) return;
+
+    quizRound = {
+        difficulty,
+        source,
+        questions: questions.map(shuffleQuizOptions),
+        index: 0,
+        score: 0,
+        choice: null
+    };
+    stageEl.setAttribute('aria-busy', 'false');
+    renderQuiz();
+}
 
-    loadingEl.classList.remove('hidden');
+function showQuizError(error) {
+    const stageEl = document.getElementById('quiz-stage');
+    const useBank = { label: t('action.useQuizBank'), onClick: () => startQuizRound({ useBank: true }) };
 
-    // Diversity Injection: Randomly select a category to force variety
-    const categories = [
-        "熱帶雨林的特殊鳥類 (如蜂鳥、太陽鳥)",
-        "夜行性授粉動物 (如長舌蝠、天蛾)",
-        "特殊的授粉甲蟲或蒼蠅",
-        "非昆蟲類的授粉者 (如壁虎、狐猴、負鼠)",
-        "蘭花的專一性授粉者 (如特殊的蜂類)",
-        "沙漠植物的授粉者",
-        "高山或寒冷地區的授粉昆蟲",
-        "色彩斑斕的蝴蝶"
-    ];
-    const randomCategory = categories[Math.floor(Math.random() * categories.length)];
-    const randomSeed = Math.floor(Math.random() * 100000); // Add noise to prompt
+    // Bank load failures are plain errors without an AI error type
+    if (!error.type) {
+        stageEl.replaceChildren(createTextElement('p', 'text-red-400 text-sm', t('quiz.bankError')));
+        return;
+    }
+    const retry = { label: t('action.retry'), onClick: () => startQuizRound() };
+    const actionsByType = {
+        invalid_key: [{ label: t('action.resetKey'), onClick: openKeySettings }, useBank],
+        rate_limit: [{ label: t('action.retryLater'), onClick: () => startQuizRound() }, useBank],
+        malformed: [{ label: t('action.regenerate'), onClick: () => startQuizRound() }, useBank]
+    };
+    stageEl.replaceChildren(createAiErrorNotice(error, actionsByType[error.type] || [retry, useBank], 'quiz-error'));
+}
 
-    const systemPrompt = `請作為一位自然圖鑑學家，從「${randomCategory}」這個具體類別中，挑選一個真實存在、獨特且令人驚奇的授粉物種。
-    請避免重複常見的物種（如普通蜜蜂），目標是讓讀者感到新奇。(隨機參數: ${randomSeed})
-    
-    請回傳一個 JSON 格式的資料，包含以下欄位：
-    {
-        "name": "物種名稱 (繁體中文)",
-        "latinName": "學名 (Latin)",
-        "icon": "一個最能代表該物種的 emoji (若是罕見物種可用相近動物)",
-        "habitat": "棲息地簡述",
-        "description": "一段約 50-80 字的優美介紹，描述它是如何授粉的，以及它的特殊冷知識。"
+function answerQuiz(choice) {
+    if (!quizRound || quizRound.choice !== null) return;
+    const question = quizRound.questions[quizRound.index];
+    quizRound.choice = choice;
+    if (choice === question.answer) quizRound.score++;
+    renderQuiz();
+    document.getElementById('quiz-next-btn').focus();
+}
+
+function nextQuizQuestion() {
+    if (!quizRound) return;
+    quizRound.index++;
+    quizRound.choice = null;
+
+    if (quizRound.index >= quizRound.questions.length) {
+        saveQuizResult({
+            date: Date.now(),
+            difficulty: quizRound.difficulty,
+            source: quizRound.source,
+            score: quizRound.score,
+            total: quizRound.questions.length
+        });
+        renderQuizHistory();
+    }
+    renderQuiz();
+    const focusEl = document.querySelector('#quiz-stage .quiz-option, #quiz-stage .quiz-again');
+    if (focusEl) focusEl.focus();
+}
+
+// Draws the current question (or the round summary). Bank questions follow
+// the interface language; AI questions stay in the language they were written in.
+function renderQuiz() {
+    const stageEl = document.getElementById('quiz-stage');
+    if (!quizRound) return;
+
+    const total = quizRound.questions.length;
+    if (quizRound.index >= total) {
+        const summary = document.createDocumentFragment();
+        summary.appendChild(createTextElement('p', 'text-xs text-gold uppercase tracking-wider mb-2', t(`quiz.level.${quizRound.difficulty}`)));
+        summary.appendChild(createTextElement('p', 'serif-font text-3xl text-white mb-2', t('quiz.score', { score: quizRound.score, total })));
+        summary.appendChild(createTextElement('p', 'text-gray-400 text-sm mb-6', t(quizRound.score === total ? 'quiz.perfect' : 'quiz.finished')));
+        const againBtn = createTextElement('button', 'quiz-again', t('quiz.again'));
+        againBtn.addEventListener('click', () => startQuizRound());
+        summary.appendChild(againBtn);
+        stageEl.replaceChildren(summary);
+        return;
     }
-    嚴格只回傳 JSON 字串，不要有 markdown 標記 (不要寫 \`\`\`json)，只要純 JSON。`;
 
-    let jsonStr = await callGemini(systemPrompt);
+    const question = localizeRecord(quizRound.questions[quizRound.index]);
+    const answered = quizRound.choice !== null;
+    const card = document.createDocumentFragment();
+
+    card.appendChild(createTextElement('p', 'text-xs text-gray-500 mb-2', t('quiz.progress', { number: quizRound.index + 1, total, score: quizRound.score })));
+    const questionEl = createTextElement('h4', 'serif-font text-xl text-white mb-6', question.question);
+    questionEl.id = 'quiz-question';
+    card.appendChild(questionEl);
+
+    const optionsEl = createTextElement('div', 'quiz-options');
+    optionsEl.setAttribute('role', 'group');
+    optionsEl.setAttribute('aria-labelledby', 'quiz-question');
+    question.options.forEach((option, i) => {
+        const optionBtn = createTextElement('button', 'quiz-option', option);
+        if (answered) {
+            optionBtn.disabled = true;
+            if (i === question.answer) optionBtn.classList.add('correct');
+            else if (i === quizRound.choice) optionBtn.classList.add('wrong');
+        } else {
+            optionBtn.addEventListener('click', () => answerQuiz(i));
+        }
+        optionsEl.appendChild(optionBtn);
+    });
+    card.appendChild(optionsEl);
+
+    if (answered) {
+        const isCorrect = quizRound.choice === question.answer;
+        const feedbackEl = createTextElement('div', `quiz-feedback ${isCorrect ? 'correct' : 'wrong'}`);
+        feedbackEl.setAttribute('role', 'status');
+        feedbackEl.appendChild(createTextElement('p', 'font-bold mb-1', isCorrect
+            ? t('quiz.correct')
+            : t('quiz.wrong', { answer: question.options[question.answer] })));
+        feedbackEl.appendChild(createTextElement('p', 'text-gray-300', question.explanation));
+        card.appendChild(feedbackEl);
+
+        const nextBtn = createTextElement('button', 'quiz-again', t(quizRound.index + 1 < total ? 'quiz.next' : 'quiz.results'));
+        nextBtn.id = 'quiz-next-btn';
+        nextBtn.addEventListener('click', nextQuizQuestion);
+        card.appendChild(nextBtn);
+    }
+    stageEl.replaceChildren(card);
+}
 
-    // Cleanup response if it contains markdown code blocks
-    jsonStr = jsonStr.replace(/```json/g, '').replace(/```/g, '').trim();
+function renderQuizLevels() {
+    const levelsEl = document.getElementById('quiz-levels');
+    const current = getQuizDifficulty();
+    levelsEl.replaceChildren(...QUIZ_DIFFICULTIES.map(difficulty => {
+        const chip = createTextElement('button', 'journal-chip', t(`quiz.level.${difficulty}`));
+        chip.classList.toggle('active', difficulty === current);
+        chip.setAttribute('aria-pressed', String(difficulty === current));
+        chip.addEventListener('click', () => setQuizDifficulty(difficulty));
+        return chip;
+    }));
+}
 
-    try {
-        const data = JSON.parse(jsonStr);
-
-        contentEl.innerHTML = `
-            <div class="w-24 h-24 rounded-full bg-[#1a1a1a] border border-[#D4AF37] mx-auto mb-6 flex items-center justify-center text-5xl shadow-[0_0_15px_rgba(212,175,55,0.2)] animate-subtle-float">
-                ${data.icon}
-            </div>
-            <h3 class="serif-font text-3xl text-white mb-1">${data.name}</h3>
-            <p class="text-[#8A9A5B] italic text-sm mb-6 serif-font">${data.latinName}</p>
-            
-            <div class="text-left bg-[#1a1a1a] p-4 rounded-lg border border-white/5">
-                <p class="text-xs text-[#D4AF37] uppercase tracking-wider mb-2">生態類別</p>
-                <p class="text-gray-400 text-xs mb-4 border-b border-gray-800 pb-2">${randomCategory.split('(')[0]}</p>
-
-                <p class="text-xs text-[#D4AF37] uppercase tracking-wider mb-2">棲息地</p>
-                <p class="text-gray-300 text-sm mb-4">${data.habitat}</p>
-                
-                <p class="text-xs text-[#D4AF37] uppercase tracking-wider mb-2">授粉特徵</p>
-                <p class="text-gray-300 text-sm leading-relaxed">${data.description}</p>
-            </div>
-        `;
-    } catch (e) {
-        console.error("JSON Parse Error", e);
-        console.log("Raw output:", jsonStr);
-        contentEl.innerHTML = `<p class="text-red-400">資料解析錯誤，可能因為 API 回傳格式不符。請再試一次。<br><small class="text-gray-600">${e.message}</small></p>`;
+// Best and average score plus the latest rounds at the chosen difficulty
+function renderQuizHistory() {
+    const historyEl = document.getElementById('quiz-history');
+    const difficulty = getQuizDifficulty();
+    const rounds = getQuizResults().filter(r => r.difficulty === difficulty);
+
+    if (rounds.length === 0) {
+        historyEl.replaceChildren(createTextElement('p', 'text-gray-600', t('quiz.noHistory')));
+        return;
     }
 
-    loadingEl.classList.add('hidden');
+    const percent = (r) => r.score / r.total;
+    const best = rounds.reduce((a, b) => (percent(b) >= percent(a) ? b : a));
+    const average = Math.round(100 * rounds.reduce((sum, r) => sum + percent(r), 0) / rounds.length);
+
+    const summaryEl = createTextElement('p', 'text-gray-400 mb-2', t('quiz.stats', {
+        rounds: rounds.length,
+        best: `${best.score}/${best.total}`,
+        average
+    }));
+    const listEl = createTextElement('ol', 'quiz-history-list');
+    listEl.setAttribute('aria-label', t('quiz.recent'));
+    rounds.slice(-5).reverse().forEach(r => {
+        const date = new Date(r.date).toLocaleDateString(currentLocale);
+        listEl.appendChild(createTextElement('li', '', `${date} · ${r.score}/${r.total}`));
+    });
+    historyEl.replaceChildren(summaryEl, listEl);
 }
 
+window.addEventListener('DOMContentLoaded', () => {
+    renderQuizLevels();
+    renderQuizHistory();
+});
+
+document.addEventListener('localechange', () => {
+    renderQuizLevels();
+    renderQuizHistory();
+    renderQuiz();
+}, { signal: bookLifetime.signal });
 
 // --- Navigation Logic ---
 // --- Navigation Logic with Transitions ---
 
-async function switchPage(pageId) {
+let currentPageId = 'home';
+let pageSwitchId = 0; // Bumped on every switch so stale async steps can bail out
+
+// `immediate` skips the book closing animation (used for deep links on load
+// and whenever reduced motion is on); `focus` moves keyboard focus into the
+// new page so keyboard and screen-reader users continue reading there.
+async function switchPage(pageId, { immediate = false, focus = false } = {}) {
+    immediate = immediate || reducedMotion;
     const isHome = (pageId === 'home');
     const currentIsHome = document.getElementById('home-page').classList.contains('active');
+    const switchId = ++pageSwitchId;
+    currentPageId = pageId;
+    wakeRenderLoop();
 
     // 1. Logic for leaving Home (Close Book)
     if (currentIsHome && !isHome) {
         bookState.target = 0.0; // Close book
-        // Wait for animation to progress partially (adjusted for 2x speed)
-        await new Promise(r => setTimeout(r, 500));
+        if (immediate) {
+            bookState.value = 0.0;
+        } else {
+            // Wait for animation to progress partially (adjusted for 2x speed)
+            await new Promise(r => setTimeout(r, 500));
+            // Another navigation (e.g. back button) happened while waiting
+            if (switchId !== pageSwitchId) return;
+        }
     }
 
     // 2. Logic for entering Home (Open Book)
@@ -223,6 +3270,11 @@ async function switchPage(pageId) {
     const target = document.getElementById(isHome ? 'home-page' : pageId);
     if (target) {
         target.classList.add('active');
+        if (focus) {
+            const focusEl = routeFocusTarget && target.contains(routeFocusTarget) ? routeFocusTarget : target;
+            focusEl.focus({ preventScroll: true });
+        }
+        routeFocusTarget = null;
         // Apply staggered animation class to the content container inside the section
         // Note: For Solid Pages, the content is usually in the first child div
         if (!isHome) {
@@ -237,14 +3289,16 @@ async function switchPage(pageId) {
     if (!isHome) {
         const canvas = document.getElementById('canvas-container');
 
-        // Update opacity logic: Team Page needs full brightness for Bees.
+        // Update opacity logic: Team Page needs full brightness for Bees,
+        // the species page for the model flying behind the card.
         setTimeout(() => {
-            if (pageId === 'team') {
+            if (switchId !== pageSwitchId) return;
+            if (pageId === 'team' || pageId === 'species') {
                 canvas.style.opacity = '1';
             } else {
                 canvas.style.opacity = '0.3';
             }
-        }, 800);
+        }, immediate ? 0 : 800);
 
         const header = document.getElementById('main-header');
         header.classList.add('bg-black/90', 'backdrop-blur-md', 'shadow-2xl', 'border-b', 'border-white/10');
@@ -255,97 +3309,428 @@ async function switchPage(pageId) {
     }
 
     // 5. Update Nav Links
-    document.querySelectorAll('.nav-link').forEach(el => {
-        el.classList.remove('text-[#D4AF37]');
-    });
-
-    const links = document.querySelectorAll('.nav-link');
-    links.forEach(link => {
-        if (link.getAttribute('onclick').includes(pageId)) {
-            link.classList.add('text-[#D4AF37]');
+    document.querySelectorAll('.nav-link').forEach(link => {
+        const isCurrent = link.dataset.page === pageId;
+        link.classList.toggle('text-gold', isCurrent);
+        if (isCurrent) {
+            link.setAttribute('aria-current', 'page');
+        } else {
+            link.removeAttribute('aria-current');
         }
     });
 
-    // 6. Special Logic for Team Page Decorations
-    // 6. Team Bees Logic
+    // 6. The 3D info panel belongs to the book on Home
+    if (!isHome) closePickPanel();
+
+    // 7. Voice input and read-aloud belong to the knowledge page
+    if (pageId !== 'knowledge') stopVoice();
+
+    // 8. The film only plays while its page is shown
+    if (pageId !== 'video') pauseVideo();
+
+    // 9. Team Bees Logic
     if (teamBeeTimer) clearTimeout(teamBeeTimer);
 
     if (pageId === 'team') {
         // Entering Team Page: Wait 2s then show bees
         teamBeeTimer = setTimeout(() => {
             // Check if still active just in case
-            if (document.getElementById('team').classList.contains('active')) {
+            if (currentPageId === 'team') {
                 teamBeeGroup.visible = true;
+                wakeRenderLoop();
                 // Double ensure opacity is 1 just in case
                 document.getElementById('canvas-container').style.opacity = '1';
             }
-        }, 2000);
+        }, immediate ? 0 : 2000);
     } else {
         // Leaving Team Page: Hide immediately (Priority)
         teamBeeGroup.visible = false;
     }
 }
-// --- 3D Team Card Logic ---
-const teamMembers = [
-    {
-        name: "廖偉傑",
-        role: "組長 Team Leader",
-        desc: "負責包裝結構設計與進度規劃。統籌專案的整體走向，確保每一個設計環節都能精準到位，引領團隊前進。",
-        image: "img/Headshot02.jpg"
-    },
-    {
-        name: "李岳",
-        role: "組員 Team Member",
-        desc: "負責立體書結構設計，網頁製作。透過精密的紙藝結構與程式邏輯，將平面的視覺轉化為立體的數位體驗。",
-        image: "img/Headshot01.jpg"
-    },
-    {
-        name: "鄭鈺儒",
-        role: "組員 Team Member",
-        desc: "負責插畫設計、主視覺海報設計。以細膩的筆觸描繪自然生態，賦予作品獨特的視覺美感與生命力。",
-        image: "img/Headshot03.jpg"
-    },
-    {
-        name: "張嘉容",
-        role: "組員 Team Member",
-        desc: "負責標準字設計與插畫設計。專注於字體結構與圖像敘事的結合，為作品注入獨特的視覺個性。",
-        image: "img/Headshot04.jpg"
-    },
-    {
-        name: "田郁棻",
-        role: "組員 Team Member",
-        desc: "負責企劃書與書籍編排設計。細心梳理文字脈絡與版面構成，將豐富的內容轉化為清晰優雅的閱讀體驗。",
-        image: "img/Headshot05.jpg"
+
+// --- Hash Router ---
+// Maps URL fragments to pages so links can be shared and the browser's
+// back/forward buttons move between pages:
+//   #/  #/carrier  #/knowledge  #/species  #/video  #/team  #/team/2 (1-based member)
+const PAGE_IDS = ['home', 'carrier', 'knowledge', 'species', 'video', 'team'];
+
+// An embedded book shows only the sections its host page asked for
+function isPageEnabled(pageId) {
+    if (!EMBED_OPTIONS) return true;
+    const sections = EMBED_OPTIONS.sections.filter(id => PAGE_IDS.includes(id));
+    return (sections.length > 0 ? sections : EMBED_DEFAULT_SECTIONS).includes(pageId);
+}
+
+function parseRoute(hash) {
+    const parts = hash.replace(/^#\/?/, '').split('/').filter(Boolean);
+    const pageId = parts[0] || 'home';
+    if (!PAGE_IDS.includes(pageId) || !isPageEnabled(pageId)) return null;
+
+    const route = { pageId };
+    if (pageId === 'team' && parts[1] !== undefined) {
+        const memberNumber = parseInt(parts[1], 10);
+        // The member list loads asynchronously; initTeam() re-checks the index
+        const memberCount = teamMembers.length || Infinity;
+        if (!(memberNumber >= 1 && memberNumber <= memberCount)) return null;
+        route.teamIndex = memberNumber - 1;
+    }
+    return route;
+}
+
+function buildRoutePath(pageId, teamIndex) {
+    if (pageId === 'home') return '#/';
+    if (pageId === 'team' && teamIndex !== undefined) return `#/team/${teamIndex + 1}`;
+    return `#/${pageId}`;
+}
+
+// Element to focus once the next routed page is shown (instead of the page itself)
+let routeFocusTarget = null;
+
+// Navigates from script, e.g. shortcuts that jump to another page
+function navigateTo(pageId, { focusEl = null } = {}) {
+    routeFocusTarget = focusEl;
+    location.hash = buildRoutePath(pageId);
+}
+
+// Updates the URL without adding a history entry (e.g. flipping team cards)
+function replaceRoute(pageId, teamIndex) {
+    history.replaceState(null, '', buildRoutePath(pageId, teamIndex));
+}
+
+function handleRoute({ initial = false } = {}) {
+    const route = parseRoute(location.hash);
+    if (!route) {
+        replaceRoute(PAGE_IDS.find(isPageEnabled));
+        handleRoute({ initial });
+        return;
+    }
+
+    if (route.teamIndex !== undefined && route.teamIndex !== currentTeamIndex) {
+        currentTeamIndex = route.teamIndex;
+        updateTeamCard(currentTeamIndex);
+    }
+
+    if (route.pageId !== currentPageId) {
+        switchPage(route.pageId, { immediate: initial, focus: !initial });
+    }
+}
+
+window.addEventListener('hashchange', () => handleRoute(), { signal: bookLifetime.signal });
+window.addEventListener('DOMContentLoaded', () => handleRoute({ initial: true }));
+
+// --- Promo Video ---
+// data/video.json describes the film: its source, one WebVTT caption track
+// per locale, chapters and timed callouts. A callout links a moment in the
+// film to a curated species card (`species`: a latin name from
+// data/pollinators.json) or to a question for the Hive Mind (`prompt`).
+// Chapters and callouts take an optional `en` block; data/video.example.json
+// shows the format. The lists stay empty until they can be taken from the
+// film itself: captions that don't match its audio are worse than none. When
+// the manifest or the film can't be loaded, a placeholder takes its place.
+// A chapter runs until the next one starts, so chapters must be in order.
+const VIDEO_MANIFEST_URL = 'data/video.json';
+
+const VIDEO_MANIFEST_SCHEMA = {
+    type: 'object',
+    properties: {
+        src: { type: 'string' },
+        captions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    lang: { type: 'string' },
+                    label: { type: 'string' },
+                    src: { type: 'string' }
+                },
+                required: ['lang', 'label', 'src']
+            }
+        },
+        chapters: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    start: { type: 'number', minimum: 0 },
+                    title: { type: 'string' }
+                },
+                required: ['start', 'title']
+            }
+        },
+        callouts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    start: { type: 'number', minimum: 0 },
+                    end: { type: 'number', minimum: 0 },
+                    text: { type: 'string' },
+                    species: { type: 'string' },
+                    prompt: { type: 'string' }
+                },
+                required: ['start', 'end', 'text']
+            }
+        }
     },
+    required: ['src']
+};
 
-    {
-        name: "Gemini",
-        role: "AI Co-Pilot",
-        desc: "提供創意發想、文案撰寫與程式碼優化建議。是團隊中不知疲倦的智慧核心，隨時準備提供協助。",
-        icon: "✨"
+let videoManifest = null; // Null until loaded, and for good if it couldn't be
+let videoFailed = false;
+let shownCalloutsKey = ''; // Callouts on screen, so timeupdate only redraws on a change
+
+async function initVideo() {
+    const videoEl = document.getElementById('video-el');
+    videoEl.addEventListener('error', () => showVideoPlaceholder(videoEl.error));
+
+    let manifest;
+    try {
+        const response = await fetch(VIDEO_MANIFEST_URL);
+        if (!response.ok) throw new Error(`Video Manifest Error: ${response.status}`);
+        manifest = await response.json();
+        const problems = validateSchema(manifest, VIDEO_MANIFEST_SCHEMA);
+        (manifest.callouts || []).forEach((callout, i) => {
+            if (!callout.species && !callout.prompt) problems.push(t('validation.calloutLink', { path: `$.callouts[${i}]` }));
+        });
+        if (problems.length > 0) throw new Error(`Video Manifest Error: ${problems.join('; ')}`);
+    } catch (error) {
+        showVideoPlaceholder(error);
+        return;
     }
-];
 
+    videoManifest = { ...manifest, ...getVideoTimeline(manifest) };
+    (manifest.captions || []).forEach(caption => {
+        const track = document.createElement('track');
+        track.kind = 'captions';
+        track.srclang = caption.lang;
+        track.label = caption.label;
+        track.src = caption.src;
+        videoEl.appendChild(track);
+    });
+    updateCaptionTrack({ initial: true });
+    videoEl.addEventListener('timeupdate', () => {
+        updateCurrentChapter();
+        renderVideoCallouts();
+    });
+    videoEl.src = manifest.src;
+    renderVideoChapters();
+}
+window.addEventListener('DOMContentLoaded', initVideo);
+
+// Chapters and callouts that would end before they start are skipped
+function getVideoTimeline(manifest) {
+    let previousStart = -1;
+    const chapters = (manifest.chapters || []).filter(chapter => {
+        if (chapter.start <= previousStart) {
+            console.warn("Video chapter skipped, it does not start after the previous one:", chapter);
+            return false;
+        }
+        previousStart = chapter.start;
+        return true;
+    });
+    const callouts = (manifest.callouts || []).filter(callout => {
+        if (callout.end <= callout.start) {
+            console.warn("Video callout skipped, it ends before it starts:", callout);
+            return false;
+        }
+        return true;
+    });
+    return { chapters, callouts };
+}
+
+document.addEventListener('localechange', () => {
+    if (!videoManifest) return;
+    updateCaptionTrack();
+    renderVideoChapters();
+    renderVideoCallouts({ force: true });
+}, { signal: bookLifetime.signal });
+
+function showVideoPlaceholder(error) {
+    console.error("Video unavailable:", error);
+    videoFailed = true;
+    document.getElementById('video-el').classList.add('hidden');
+    document.getElementById('video-callouts').replaceChildren();
+    document.getElementById('video-chapters').classList.add('hidden');
+    document.getElementById('video-placeholder').classList.remove('hidden');
+}
+
+// Called by switchPage() when leaving the video page
+function pauseVideo() {
+    document.getElementById('video-el').pause();
+}
+
+// Captions follow the interface language and start on, since the film is
+// often watched muted; once the reader turns them off they stay off
+function updateCaptionTrack({ initial = false } = {}) {
+    const tracks = [...document.getElementById('video-el').textTracks].filter(track => track.kind === 'captions');
+    const captionsOn = initial || tracks.some(track => track.mode === 'showing');
+    tracks.forEach(track => {
+        track.mode = captionsOn && track.language === currentLocale ? 'showing' : 'disabled';
+    });
+}
+
+function formatVideoTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+function renderVideoChapters() {
+    const chapters = videoManifest.chapters || [];
+    document.getElementById('video-chapters').classList.toggle('hidden', videoFailed || chapters.length === 0);
+
+    document.getElementById('video-chapter-list').replaceChildren(...chapters.map(chapter => {
+        const item = document.createElement('li');
+        const button = createTextElement('button', 'video-chapter');
+        button.type = 'button';
+        button.append(
+            createTextElement('span', 'video-chapter-time', formatVideoTime(chapter.start)),
+            createTextElement('span', '', localizeRecord(chapter).title)
+        );
+        button.addEventListener('click', () => playVideoFrom(chapter.start));
+        item.appendChild(button);
+        return item;
+    }));
+    updateCurrentChapter();
+}
+
+// Marks the chapter that contains the playback position
+function updateCurrentChapter() {
+    const time = document.getElementById('video-el').currentTime;
+    const chapters = videoManifest.chapters || [];
+    const current = chapters.reduce((found, chapter, i) => (chapter.start <= time ? i : found), -1);
+    document.querySelectorAll('.video-chapter').forEach((button, i) => {
+        if (i === current) {
+            button.setAttribute('aria-current', 'true');
+        } else {
+            button.removeAttribute('aria-current');
+        }
+    });
+}
+
+function playVideoFrom(seconds) {
+    const videoEl = document.getElementById('video-el');
+    videoEl.currentTime = seconds;
+    videoEl.play().catch(error => console.warn("Video playback was blocked:", error));
+}
+
+// Shows the callouts whose time span contains the playback position. Ones
+// that lead to a page the embedding site left out are skipped.
+function renderVideoCallouts({ force = false } = {}) {
+    if (videoFailed) return;
+    const time = document.getElementById('video-el').currentTime;
+    const active = (videoManifest.callouts || []).filter(callout =>
+        time >= callout.start && time < callout.end &&
+        isPageEnabled(callout.species ? 'species' : 'knowledge'));
+    const key = active.map(callout => videoManifest.callouts.indexOf(callout)).join(',');
+    if (key === shownCalloutsKey && !force) return;
+    shownCalloutsKey = key;
+    document.getElementById('video-callouts').replaceChildren(...active.map(createVideoCallout));
+}
+
+function createVideoCallout(callout) {
+    const button = createTextElement('button', 'video-callout', localizeRecord(callout).text);
+    button.type = 'button';
+    button.appendChild(createTextElement('span', 'video-callout-link', t(callout.species ? 'video.calloutSpecies' : 'video.calloutAsk')));
+    button.addEventListener('click', () => followVideoCallout(callout));
+    return button;
+}
+
+// Leaving the page pauses the film (see switchPage)
+async function followVideoCallout(callout) {
+    if (!callout.species) {
+        const inputEl = document.getElementById('hive-input');
+        inputEl.value = localizeRecord(callout).prompt;
+        navigateTo('knowledge', { focusEl: inputEl });
+        return;
+    }
+
+    navigateTo('species');
+    try {
+        const species = (await loadCuratedSpecies()).find(s => s.latinName === callout.species);
+        if (!species) throw new Error(`Video Callout Error: unknown species ${callout.species}`);
+        showSpeciesCard(species);
+        await recordInJournal({ ...species, source: 'video' });
+    } catch (error) {
+        console.error(error);
+        document.getElementById('species-content').replaceChildren(createTextElement('p', 'text-red-400 text-sm', t('species.curatedError')));
+    }
+}
+
+// --- 3D Team Card Logic ---
+// Members come from data/team.json: name, role, desc, image (or an emoji
+// icon) and an optional `en` block. The card can be dragged: it turns with
+// the pointer and, when let go far or fast enough, spins on to the next
+// member; otherwise it springs back.
+const TEAM_MANIFEST_URL = 'data/team.json';
+const TEAM_DRAG_DEGREES_PER_PX = 0.35;
+const TEAM_FLIP_DISTANCE = 80;  // px, including momentum, needed to change member
+const TEAM_MOMENTUM_TIME = 150; // ms of release velocity added to the drag distance
+
+const TEAM_MANIFEST_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            role: { type: 'string' },
+            desc: { type: 'string' },
+            image: { type: 'string' },
+            icon: { type: 'string' }
+        },
+        required: ['name', 'role', 'desc']
+    }
+};
+
+let teamMembers = []; // Empty until the manifest has loaded
+let teamLoadFailed = false;
 let currentTeamIndex = 0;
-let isDraggingTeam = false;
-let startX = 0;
-let teamCardEl = null;
+let teamDrag = null; // { pointerId, startX, lastX, lastTime, velocity, angle } while dragging
+let isTeamCardSpinning = false; // A spin or flip is animating; other turns wait for it
+
+async function initTeam() {
+    try {
+        const response = await fetch(TEAM_MANIFEST_URL);
+        if (!response.ok) throw new Error(`Team Manifest Error: ${response.status}`);
+        const members = await response.json();
+        const problems = validateSchema(members, TEAM_MANIFEST_SCHEMA);
+        if (problems.length > 0) throw new Error(`Team Manifest Error: ${problems.join('; ')}`);
+        teamMembers = members;
+    } catch (error) {
+        console.error(error);
+        teamLoadFailed = true;
+        updateTeamCard(currentTeamIndex);
+        return;
+    }
 
-// Initialize first member
-function initTeam() {
-    updateTeamCard(0);
+    // A #/team/N deep link is only checked against the list now
+    if (currentTeamIndex >= teamMembers.length) {
+        currentTeamIndex = 0;
+        if (currentPageId === 'team') replaceRoute('team', 0);
+    }
+    updateTeamCard(currentTeamIndex);
 }
-// Call init after load
 window.addEventListener('DOMContentLoaded', initTeam);
+document.addEventListener('localechange', () => updateTeamCard(currentTeamIndex), { signal: bookLifetime.signal });
 
 function updateTeamCard(index) {
-    const member = teamMembers[index];
+    if (teamMembers.length === 0) {
+        if (teamLoadFailed) {
+            document.getElementById('member-name').textContent = t('team.loadError');
+            document.getElementById('member-role').textContent = '';
+            document.getElementById('member-desc').textContent = '';
+        }
+        return;
+    }
+
+    const member = localizeRecord(teamMembers[index]);
     const imgEl = document.getElementById('member-img');
     const iconEl = document.getElementById('member-icon');
 
     document.getElementById('member-name').textContent = member.name;
     document.getElementById('member-role').textContent = member.role;
     document.getElementById('member-desc').textContent = member.desc;
+    document.getElementById('team-card').setAttribute('aria-label', `${index + 1} / ${teamMembers.length}`);
 
     // Toggle Image vs Icon
     if (member.image) {
@@ -359,66 +3744,138 @@ function updateTeamCard(index) {
             iconEl.textContent = member.icon;
         }
     }
+    renderTeamDots();
+}
+
+// One dot per member; the current one is highlighted and each jumps to its member
+function renderTeamDots() {
+    const dotsEl = document.getElementById('team-dots');
+    dotsEl.replaceChildren(...teamMembers.map((member, i) => {
+        const dot = createTextElement('button', 'team-dot');
+        dot.type = 'button';
+        dot.setAttribute('aria-label', t('team.goTo', { number: i + 1, name: member.name }));
+        if (i === currentTeamIndex) dot.setAttribute('aria-current', 'true');
+        dot.addEventListener('click', () => flipToTeamMember(i));
+        return dot;
+    }));
+}
+
+function showTeamMember(index) {
+    currentTeamIndex = index;
+    updateTeamCard(currentTeamIndex);
+    replaceRoute('team', currentTeamIndex);
 }
 
 function startTeamDrag(e) {
-    isDraggingTeam = true;
-    startX = e.type.includes('mouse') ? e.clientX : e.touches[0].clientX;
-    teamCardEl = document.getElementById('team-card');
-
-    // Add temporary listeners for move/up
-    if (e.type.includes('mouse')) {
-        document.addEventListener('mousemove', onTeamDragMove);
-        document.addEventListener('mouseup', onTeamDragEnd);
-    } else {
-        document.addEventListener('touchmove', onTeamDragMove);
-        document.addEventListener('touchend', onTeamDragEnd);
-    }
+    if (teamDrag || isTeamCardSpinning || teamMembers.length < 2) return;
+    if (e.button > 0 || e.target.closest('button')) return; // Dots handle their own clicks
+
+    const cardEl = e.currentTarget;
+    if (cardEl.setPointerCapture) cardEl.setPointerCapture(e.pointerId);
+    cardEl.classList.add('is-dragging');
+    teamDrag = { pointerId: e.pointerId, startX: e.clientX, lastX: e.clientX, lastTime: e.timeStamp, velocity: 0, angle: 0 };
+
+    cardEl.addEventListener('pointermove', onTeamDragMove);
+    cardEl.addEventListener('pointerup', onTeamDragEnd);
+    cardEl.addEventListener('pointercancel', onTeamDragEnd);
 }
 
 function onTeamDragMove(e) {
-    if (!isDraggingTeam) return;
-    // Optional: Follow finger slightly? (Rotation transform)
-    // skipping for simplicity, just detect swipe at end
+    if (!teamDrag || e.pointerId !== teamDrag.pointerId) return;
+
+    // Smoothed release velocity in px/ms, so one jittery event doesn't decide the flick
+    const elapsed = e.timeStamp - teamDrag.lastTime;
+    if (elapsed > 0) {
+        teamDrag.velocity = 0.8 * ((e.clientX - teamDrag.lastX) / elapsed) + 0.2 * teamDrag.velocity;
+    }
+    teamDrag.lastX = e.clientX;
+    teamDrag.lastTime = e.timeStamp;
+
+    const angle = (e.clientX - teamDrag.startX) * TEAM_DRAG_DEGREES_PER_PX;
+    teamDrag.angle = Math.max(-90, Math.min(90, angle));
+    if (!reducedMotion) e.currentTarget.style.transform = `rotateY(${teamDrag.angle}deg)`;
 }
 
 function onTeamDragEnd(e) {
-    if (!isDraggingTeam) return;
-    isDraggingTeam = false;
+    if (!teamDrag || e.pointerId !== teamDrag.pointerId) return;
+    const cardEl = e.currentTarget;
+    const { startX, velocity, angle } = teamDrag;
+    teamDrag = null;
+
+    cardEl.classList.remove('is-dragging');
+    cardEl.removeEventListener('pointermove', onTeamDragMove);
+    cardEl.removeEventListener('pointerup', onTeamDragEnd);
+    cardEl.removeEventListener('pointercancel', onTeamDragEnd);
+
+    const travel = (e.clientX - startX) + velocity * TEAM_MOMENTUM_TIME;
+    if (e.type === 'pointercancel' || Math.abs(travel) < TEAM_FLIP_DISTANCE) {
+        cardEl.style.transform = ''; // Springs back with the .team-card transition
+        return;
+    }
+    // Dragged right shows the previous member, dragged left the next
+    spinTeamCard(cardEl, travel > 0 ? 1 : -1, angle, Math.abs(velocity));
+}
 
-    // Cleanup listeners
-    document.removeEventListener('mousemove', onTeamDragMove);
-    document.removeEventListener('mouseup', onTeamDragEnd);
-    document.removeEventListener('touchmove', onTeamDragMove);
-    document.removeEventListener('touchend', onTeamDragEnd);
+// Lets a flicked card keep turning until it is edge-on, swaps in the
+// neighbouring member and swings it back in from the other side
+function spinTeamCard(cardEl, sign, angle, speed) {
+    const index = (currentTeamIndex - sign + teamMembers.length) % teamMembers.length;
+    if (reducedMotion) {
+        cardEl.style.transform = '';
+        showTeamMember(index);
+        return;
+    }
 
-    const endX = e.type.includes('mouse') ? e.clientX : (e.changedTouches ? e.changedTouches[0].clientX : startX);
-    const diff = endX - startX;
+    const remaining = 90 - Math.abs(angle);
+    const duration = Math.max(120, Math.min(400, remaining / Math.max(speed * TEAM_DRAG_DEGREES_PER_PX, 0.001)));
+    isTeamCardSpinning = true;
+    cardEl.style.transition = `transform ${duration}ms ease-out`;
+    cardEl.style.transform = `rotateY(${sign * 90}deg)`;
 
-    if (Math.abs(diff) > 50) {
-        if (diff > 0) {
-            triggerFlip('right'); // Dragged right, switch to previous
-        } else {
-            triggerFlip('left'); // Dragged left, switch to next
-        }
-    }
+    setTimeout(() => {
+        showTeamMember(index);
+        cardEl.style.transition = 'none';
+        cardEl.style.transform = `rotateY(${-sign * 90}deg)`;
+        void cardEl.offsetWidth; // Commit the jump before animating back
+        cardEl.style.transition = '';
+        cardEl.style.transform = ''; // Snaps in with the .team-card transition
+        isTeamCardSpinning = false;
+    }, duration);
+}
+
+// Flips to a given member (dots), turning in the direction of travel
+function flipToTeamMember(index) {
+    if (index === currentTeamIndex) return;
+    triggerFlip(index > currentTeamIndex ? 'left' : 'right', index);
 }
 
-function triggerFlip(direction) {
-    if (!teamCardEl) teamCardEl = document.getElementById('team-card');
+// direction 'left' = next member, 'right' = previous; `index` overrides the neighbour
+function triggerFlip(direction, index) {
+    if (teamMembers.length === 0 || isTeamCardSpinning) return;
+    const teamCardEl = document.getElementById('team-card');
 
-    // 1. Flip Out
+    const showNextMember = () => {
+        if (index === undefined) {
+            const step = direction === 'left' ? 1 : -1;
+            index = (currentTeamIndex + step + teamMembers.length) % teamMembers.length;
+        }
+        showTeamMember(index);
+    };
+
+    // Reduced motion: swap the content without the 3D flip
+    if (reducedMotion) {
+        showNextMember();
+        return;
+    }
+
+    // 1. Flip Out (held or repeated arrow keys are ignored until it is done)
+    isTeamCardSpinning = true;
     const outClass = direction === 'left' ? 'flip-out-left' : 'flip-out-right';
     teamCardEl.classList.add(outClass);
 
     // 2. Wait for half flip (at 90deg) to swap content
     setTimeout(() => {
-        if (direction === 'left') {
-            currentTeamIndex = (currentTeamIndex + 1) % teamMembers.length;
-        } else {
-            currentTeamIndex = (currentTeamIndex - 1 + teamMembers.length) % teamMembers.length;
-        }
-        updateTeamCard(currentTeamIndex);
+        showNextMember();
 
         // 3. Remove Out class, Add In class
         teamCardEl.classList.remove(outClass);
@@ -428,6 +3885,7 @@ function triggerFlip(direction) {
         // 4. Cleanup In class after animation matches style.css animation duration (0.5s)
         setTimeout(() => {
             teamCardEl.classList.remove(inClass);
+            isTeamCardSpinning = false;
         }, 500);
 
     }, 250); // Half of 0.5s animation
@@ -445,76 +3903,180 @@ document.addEventListener('keydown', (e) => {
     } else if (e.key === 'ArrowLeft') {
         triggerFlip('right'); // Prev member
     }
-});
+}, { signal: bookLifetime.signal });
 
 // --- 1. Scene Setup ---
 const container = document.getElementById('canvas-container');
 const scene = new THREE.Scene();
 
-const BG_COLOR = 0x050505;
-scene.background = new THREE.Color(BG_COLOR);
-scene.fog = new THREE.FogExp2(BG_COLOR, 0.035);
+const BG_COLOR = 0x050505;
+scene.background = new THREE.Color(BG_COLOR);
+scene.fog = new THREE.FogExp2(BG_COLOR, 0.035);
+
+const camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.1, 100);
+// Initial setup for responsive camera
+updateCameraPosition();
+
+let renderer = null; // Created by setQualityLevel()
+
+// --- Render Quality & Power ---
+// The loop renders at full rate only while something on screen moves. It
+// drops to an occasional frame when the view is still (book folded away on a
+// dimmed page, or reduced motion) and stops while the tab is hidden.
+// Quality follows the measured frame time. Antialiasing can only be chosen
+// when a WebGL context is created, so a quality change builds a new renderer;
+// pointer listeners therefore sit on #canvas-container, not on the canvas.
+// Add ?stats to the URL for an FPS / draw-call overlay.
+const QUALITY_LEVELS = [
+    { id: 'low', pixelRatio: 0.75, shadows: false, antialias: false },
+    { id: 'medium', pixelRatio: 1, shadows: true, antialias: false },
+    { id: 'high', pixelRatio: 2, shadows: true, antialias: true }
+];
+const QUALITY_SAMPLE_TIME = 2;     // Seconds of frames per measurement
+const QUALITY_SLOW_FRAME = 1 / 40; // Average frame time that lowers the quality
+const QUALITY_FAST_FRAME = 1 / 55; // ...and that may raise it again
+const IDLE_FRAME_INTERVAL = 500;   // ms between frames while nothing moves
+
+let qualityLevel = -1;
+let qualityCeiling = QUALITY_LEVELS.length - 1; // Lowered by a downgrade so the level doesn't flap
+let qualitySample = { time: 0, frames: 0 };
+
+function setQualityLevel(level) {
+    if (level === qualityLevel) return;
+    qualityLevel = level;
+    const quality = QUALITY_LEVELS[level];
+
+    const next = new THREE.WebGLRenderer({ antialias: quality.antialias, alpha: true });
+    next.setSize(window.innerWidth, window.innerHeight);
+    next.shadowMap.enabled = quality.shadows;
+    next.shadowMap.type = THREE.PCFSoftShadowMap;
+    next.setPixelRatio(Math.min(window.devicePixelRatio, quality.pixelRatio));
+    if (renderer) {
+        renderer.dispose();
+        renderer.forceContextLoss();
+        // Materials compiled with the old shadow setting must be rebuilt
+        scene.traverse(child => {
+            if (child.material) child.material.needsUpdate = true;
+        });
+    }
+    renderer = next;
+    container.replaceChildren(renderer.domElement);
+}
+
+setQualityLevel(QUALITY_LEVELS.length - 1);
+
+function updateAdaptiveQuality(frameTime) {
+    qualitySample.time += frameTime;
+    qualitySample.frames++;
+    if (qualitySample.time < QUALITY_SAMPLE_TIME) return;
+
+    const average = qualitySample.time / qualitySample.frames;
+    qualitySample = { time: 0, frames: 0 };
+    if (average > QUALITY_SLOW_FRAME && qualityLevel > 0) {
+        qualityCeiling = qualityLevel - 1;
+        setQualityLevel(qualityLevel - 1);
+    } else if (average < QUALITY_FAST_FRAME && qualityLevel < qualityCeiling) {
+        setQualityLevel(qualityLevel + 1);
+    }
+}
 
-const camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.1, 100);
-// Initial setup for responsive camera
-updateCameraPosition();
+// True when the next frames would look the same as this one
+function isSceneIdle() {
+    const bookSettled = Math.abs(bookState.target - bookState.value) < 0.001 && !bookState.turn;
+    if (!bookSettled || pollenParticles.some(particle => particle.visible)) return false;
+    if (reducedMotion) return true;
+    if (bookState.target === 1.0) return false; // Bees at work on the open book
+    const teamBeesShown = currentPageId === 'team' && teamBeeGroup.visible;
+    const speciesModelShown = currentPageId === 'species' && speciesModel !== null;
+    return !teamBeesShown && !speciesModelShown;
+}
+
+let nextFrameId = null;    // Pending animation frame
+let nextFrameTimer = null; // Pending idle timeout
+let lastFrameIdle = false;
+
+function scheduleFrame(idle) {
+    lastFrameIdle = idle;
+    if (idle) {
+        nextFrameTimer = setTimeout(() => {
+            nextFrameTimer = null;
+            nextFrameId = requestAnimationFrame(animate);
+        }, IDLE_FRAME_INTERVAL);
+    } else {
+        nextFrameId = requestAnimationFrame(animate);
+    }
+}
 
-const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.shadowMap.enabled = true;
-renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-container.appendChild(renderer.domElement);
+// Call when something changes the view, so an idle loop reacts at once
+function wakeRenderLoop() {
+    if (document.hidden || nextFrameId !== null || bookLifetime.signal.aborted) return;
+    clearTimeout(nextFrameTimer);
+    nextFrameTimer = null;
+    nextFrameId = requestAnimationFrame(animate);
+}
 
-// --- 2. Lighting ---
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
-scene.add(ambientLight);
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        cancelAnimationFrame(nextFrameId);
+        clearTimeout(nextFrameTimer);
+        nextFrameId = null;
+        nextFrameTimer = null;
+    } else {
+        clock.getDelta(); // Don't count the hidden time as one long frame
+        lastFrameIdle = true;
+        wakeRenderLoop();
+    }
+}, { signal: bookLifetime.signal });
 
-const dirLight = new THREE.DirectionalLight(0xfffaed, 1.2);
-dirLight.position.set(0, 15, 5);
-dirLight.castShadow = true;
-dirLight.shadow.mapSize.width = 2048;
-dirLight.shadow.mapSize.height = 2048;
-dirLight.shadow.bias = -0.0001;
-scene.add(dirLight);
+function createRenderStats() {
+    const statsEl = createTextElement('div', 'fixed bottom-2 right-2 z-[70] bg-black/80 text-gold font-mono text-[10px] leading-snug whitespace-pre px-2 py-1 rounded pointer-events-none');
+    statsEl.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(statsEl);
+    return statsEl;
+}
 
-const rimLight = new THREE.PointLight(0x445588, 1.0);
-rimLight.position.set(-10, 5, -10);
-scene.add(rimLight);
+const renderStatsEl = new URLSearchParams(location.search).has('stats') ? createRenderStats() : null;
+let statsSample = { time: 0, frames: 0 };
+
+function updateRenderStats(frameTime) {
+    if (!renderStatsEl) return;
+    statsSample.time += frameTime;
+    statsSample.frames++;
+    if (statsSample.time < 0.5) return;
+
+    const { calls, triangles } = renderer.info.render;
+    renderStatsEl.textContent = [
+        `${(statsSample.frames / statsSample.time).toFixed(0)} fps  ${(1000 * statsSample.time / statsSample.frames).toFixed(1)} ms`,
+        `${calls} draw calls  ${triangles} tris`,
+        `quality ${QUALITY_LEVELS[qualityLevel].id}${lastFrameIdle ? '  idle' : ''}`
+    ].join('\n');
+    statsSample = { time: 0, frames: 0 };
+}
 
-const fillLight = new THREE.PointLight(0x886644, 0.5);
-fillLight.position.set(10, 5, 10);
-scene.add(fillLight);
+// --- 2. Lighting ---
+// Filled from the scene description (see buildSceneLights)
+const lightGroup = new THREE.Group();
+scene.add(lightGroup);
 
 // --- 3. Objects ---
-const paperWhiteMat = new THREE.MeshStandardMaterial({
-    color: 0xffffff,
-    roughness: 0.9,
-    emissive: 0x111111,
-    side: THREE.DoubleSide
-});
-const paperSageMat = new THREE.MeshStandardMaterial({ color: 0x9CB070, roughness: 0.8 });
-const paperDarkMat = new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.9 });
-const paperGoldMat = new THREE.MeshStandardMaterial({
-    color: 0xFFD700,
-    roughness: 0.3,
-    metalness: 0.3,
-    emissive: 0x221100
-});
+// Colours and finish come from the scene description (see applySceneMaterials)
+const paperWhiteMat = new THREE.MeshStandardMaterial({ side: THREE.DoubleSide });
+const paperSageMat = new THREE.MeshStandardMaterial();
+const paperDarkMat = new THREE.MeshStandardMaterial();
+const paperSeedMat = new THREE.MeshStandardMaterial(); // Pollinated, setting seed
+const paperGoldMat = new THREE.MeshStandardMaterial();
 
 const bookGroup = new THREE.Group();
 scene.add(bookGroup);
 bookGroup.scale.set(1.4, 1.4, 1.4);
 
 // Global references for animation
-let bookState = { value: 1.0, target: 1.0 }; // 1.0 = Open, 0.0 = Closed
+// value/target: 1.0 = Open, 0.0 = Closed. spread: index into BOOK_SPREADS.
+// turn: the page turn in progress ({ from, to, direction, progress }) or null.
+let bookState = { value: 1.0, target: 1.0, spread: 0, turn: null };
 
 const tableGeo = new THREE.PlaneGeometry(60, 60);
-const tableMat = new THREE.MeshStandardMaterial({
-    color: 0x1a1a1a,
-    roughness: 0.8,
-    metalness: 0.2
-});
+const tableMat = new THREE.MeshStandardMaterial();
 const table = new THREE.Mesh(tableGeo, tableMat);
 table.rotation.x = -Math.PI / 2;
 table.position.y = -0.5;
@@ -595,6 +4157,8 @@ function createFlower(x, z, scale) {
     const flower = new THREE.Group();
     flower.add(stem);
     flower.add(bloom);
+    flower.userData.pick = 'bloom';
+    flower.userData.bloom = bloom; // Where bees land
     flower.position.set(x, 0, z);
     flower.scale.set(scale, scale, scale);
     flower.rotation.y = Math.random() * Math.PI;
@@ -602,11 +4166,453 @@ function createFlower(x, z, scale) {
     return flower;
 }
 
-for (let i = 0; i < 6; i++) {
-    const f = createFlower(1 + Math.random() * 2, (Math.random() - 0.5) * 4, 0.8 + Math.random() * 0.4);
-    popupGroup.add(f);
+// --- Book Spreads ---
+// Every spread has its own pop-up group inside popupGroup (on the right-hand
+// page) and its own caption (catalog keys book.<id>.title / .caption).
+// Only the group of the current spread is visible. The fixed set pieces are
+// built here; the flowers and moths placed around them come from the
+// `objects` of the scene description.
+function createFlowerAnatomySpread() {
+    const spread = new THREE.Group();
+
+    // One large flower, opened up to show its parts
+    const flower = new THREE.Group();
+    const stem = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.05, 1.6, 5), paperSageMat);
+    stem.position.y = 0.8;
+    flower.add(stem);
+
+    for (let i = 0; i < 5; i++) {
+        const angle = (i / 5) * Math.PI * 2;
+
+        const sepal = new THREE.Mesh(new THREE.ConeGeometry(0.08, 0.35, 4), paperSageMat);
+        sepal.position.set(Math.cos(angle) * 0.12, 1.55, Math.sin(angle) * 0.12);
+        sepal.rotation.set(0, -angle, Math.PI / 2 + 0.6);
+        flower.add(sepal);
+
+        const petal = new THREE.Mesh(new THREE.IcosahedronGeometry(0.3, 0), paperWhiteMat);
+        petal.scale.set(1.3, 0.15, 0.6);
+        petal.position.set(Math.cos(angle + 0.6) * 0.42, 1.7, Math.sin(angle + 0.6) * 0.42);
+        petal.rotation.set(0, -(angle + 0.6), 0.35);
+        petal.userData.pick = 'petal';
+        flower.add(petal);
+    }
+
+    // Stamens: filament + anther (pollen)
+    for (let i = 0; i < 6; i++) {
+        const angle = (i / 6) * Math.PI * 2;
+        const filament = new THREE.Mesh(new THREE.CylinderGeometry(0.01, 0.01, 0.45, 4), paperWhiteMat);
+        filament.position.set(Math.cos(angle) * 0.14, 1.9, Math.sin(angle) * 0.14);
+        filament.rotation.set(Math.sin(angle) * 0.3, 0, -Math.cos(angle) * 0.3);
+        filament.userData.pick = 'stamen';
+        flower.add(filament);
+
+        const anther = new THREE.Mesh(new THREE.IcosahedronGeometry(0.05, 0), paperGoldMat);
+        anther.position.set(Math.cos(angle) * 0.21, 2.12, Math.sin(angle) * 0.21);
+        anther.userData.pick = 'stamen';
+        flower.add(anther);
+    }
+
+    // Pistil: style + stigma
+    const style = new THREE.Mesh(new THREE.CylinderGeometry(0.025, 0.05, 0.6, 5), paperSageMat);
+    style.position.y = 1.95;
+    style.userData.pick = 'pistil';
+    flower.add(style);
+    const stigma = new THREE.Mesh(new THREE.IcosahedronGeometry(0.07, 0), paperGoldMat);
+    stigma.position.y = 2.28;
+    stigma.userData.pick = 'pistil';
+    flower.add(stigma);
+
+    flower.userData.bloom = stigma;
+    flower.position.set(2, 0, 0);
+    flower.scale.set(1.3, 1.3, 1.3);
+    flower.traverse(child => { child.castShadow = true; });
+    spread.add(flower);
+    return spread;
+}
+
+function createBeeLifeCycleSpread() {
+    const spread = new THREE.Group();
+    const cellGeo = new THREE.CylinderGeometry(0.45, 0.45, 0.2, 6);
+
+    // Egg -> larva -> pupa -> adult, each in its own comb cell
+    const stages = [
+        () => {
+            const egg = new THREE.Mesh(new THREE.IcosahedronGeometry(0.08, 1), paperWhiteMat);
+            egg.scale.set(1, 2, 1);
+            egg.position.y = 0.3;
+            egg.userData.pick = 'egg';
+            return egg;
+        },
+        () => {
+            const larva = new THREE.Mesh(new THREE.TorusGeometry(0.16, 0.07, 5, 8, Math.PI * 1.5), paperWhiteMat);
+            larva.rotation.x = -Math.PI / 2;
+            larva.position.y = 0.2;
+            larva.userData.pick = 'larva';
+            return larva;
+        },
+        () => {
+            const pupa = new THREE.Group();
+            const body = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.12, 0.4, 6), paperWhiteMat);
+            const head = new THREE.Mesh(new THREE.IcosahedronGeometry(0.1, 0), paperDarkMat);
+            head.position.y = 0.25;
+            pupa.add(body, head);
+            pupa.rotation.x = Math.PI / 2;
+            pupa.position.y = 0.25;
+            pupa.userData.pick = 'pupa';
+            return pupa;
+        },
+        () => {
+            const adult = createBee();
+            adult.position.y = 0.8;
+            adult.rotation.y = Math.PI / 4;
+            return adult;
+        }
+    ];
+
+    stages.forEach((createStage, i) => {
+        const cell = new THREE.Group();
+        const comb = new THREE.Mesh(cellGeo, paperGoldMat);
+        comb.position.y = 0.1;
+        comb.receiveShadow = true;
+        cell.add(comb, createStage());
+        // Zig-zag like a strip of honeycomb
+        cell.position.set(i % 2 === 0 ? 1.6 : 2.4, 0, -2.1 + i * 1.4);
+        cell.traverse(child => { child.castShadow = true; });
+        spread.add(cell);
+    });
+    return spread;
+}
+
+function createNocturnalSpread() {
+    const spread = new THREE.Group();
+
+    const moon = new THREE.Mesh(new THREE.IcosahedronGeometry(0.45, 1), paperGoldMat);
+    moon.position.set(3, 2.8, -1.8);
+    spread.add(moon);
+
+    for (let i = 0; i < 5; i++) {
+        const star = new THREE.Mesh(new THREE.TetrahedronGeometry(0.08, 0), paperGoldMat);
+        star.position.set(0.8 + Math.random() * 2.6, 2.2 + Math.random() * 1.2, -2.5 + Math.random() * 5);
+        spread.add(star);
+    }
+
+    return spread;
+}
+
+// Pale, trumpet-shaped night flower
+function createNightFlower(x, z, scale) {
+    const flower = new THREE.Group();
+    const stem = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, 1.8, 5), paperSageMat);
+    stem.position.y = 0.9;
+    const trumpet = new THREE.Mesh(new THREE.ConeGeometry(0.3, 0.7, 6, 1, true), paperWhiteMat);
+    trumpet.rotation.x = Math.PI; // Opening faces up
+    trumpet.position.y = 2.0;
+    flower.add(stem, trumpet);
+    flower.userData.pick = 'nightFlower';
+    flower.userData.bloom = trumpet;
+    flower.position.set(x, 0, z);
+    flower.scale.set(scale, scale, scale);
+    flower.traverse(child => { child.castShadow = true; });
+    return flower;
+}
+
+// Hawkmoth hovering in mid-air
+function createMoth(x, y, z, scale) {
+    const moth = new THREE.Group();
+    const body = new THREE.Mesh(new THREE.ConeGeometry(0.08, 0.45, 5), paperDarkMat);
+    body.rotation.x = -Math.PI / 2;
+    const wingGeo = new THREE.PlaneGeometry(0.45, 0.22);
+    const wingL = new THREE.Mesh(wingGeo, paperWhiteMat);
+    wingL.position.set(-0.25, 0.02, 0);
+    wingL.rotation.set(-Math.PI / 2, 0, 0.3);
+    const wingR = new THREE.Mesh(wingGeo, paperWhiteMat);
+    wingR.position.set(0.25, 0.02, 0);
+    wingR.rotation.set(-Math.PI / 2, 0, -0.3);
+    moth.add(body, wingL, wingR);
+    moth.userData.pick = 'moth';
+    moth.position.set(x, y, z);
+    moth.scale.set(scale, scale, scale);
+    moth.rotation.y = Math.random() * Math.PI * 2;
+    return moth;
+}
+
+// Object types a scene description can place on a spread
+const SCENE_OBJECT_FACTORIES = {
+    flower: ([x, y, z], scale) => {
+        const flower = createFlower(x, z, scale);
+        flower.position.y = y;
+        return flower;
+    },
+    nightFlower: ([x, y, z], scale) => {
+        const flower = createNightFlower(x, z, scale);
+        flower.position.y = y;
+        return flower;
+    },
+    moth: ([x, y, z], scale) => createMoth(x, y, z, scale)
+};
+
+const BOOK_SPREADS = [
+    { id: 'flower-anatomy', create: createFlowerAnatomySpread },
+    { id: 'bee-life-cycle', create: createBeeLifeCycleSpread },
+    { id: 'nocturnal', create: createNocturnalSpread }
+];
+
+const spreadGroups = []; // Filled by buildSpreads()
+
+function buildSpreads(objects) {
+    spreadGroups.forEach(group => {
+        popupGroup.remove(group);
+        disposeSceneObject(group);
+    });
+    spreadGroups.length = 0;
+
+    BOOK_SPREADS.forEach((spread, index) => {
+        const group = spread.create();
+        objects
+            .filter(object => object.spread === spread.id)
+            .forEach(object => group.add(SCENE_OBJECT_FACTORIES[object.type](object.position, object.scale ?? 1)));
+        group.visible = index === bookState.spread;
+        popupGroup.add(group);
+        spreadGroups.push(group);
+    });
+}
+
+// --- Page Turning ---
+// A single loose leaf is bent and swung around the spine while pages turn.
+// The pop-ups of the old spread fold away during the first half of the turn
+// and the new ones unfold during the second half.
+const PAGE_TURN_CURL = 1.2; // How far the free edge lags behind the hinge
+
+const turnPivot = new THREE.Group();
+turnPivot.position.y = 0.08; // Just above the open pages
+turnPivot.visible = false;
+bookGroup.add(turnPivot);
+
+const turnLeafGeo = new THREE.BoxGeometry(4, 0.02, 6, 16, 1, 1);
+turnLeafGeo.translate(2, 0, 0); // Hinge on the spine
+const turnLeafRest = turnLeafGeo.attributes.position.array.slice();
+const turnLeaf = new THREE.Mesh(turnLeafGeo, paperWhiteMat);
+turnLeaf.castShadow = true;
+turnPivot.add(turnLeaf);
+
+// Curls the leaf: the further from the spine, the more it trails behind
+function bendTurnLeaf(progress, direction) {
+    const positions = turnLeafGeo.attributes.position;
+    const lag = Math.sin(progress * Math.PI) * PAGE_TURN_CURL * direction;
+    for (let i = 0; i < positions.count; i++) {
+        const u = turnLeafRest[i * 3] / 4;
+        positions.setY(i, turnLeafRest[i * 3 + 1] - lag * u * u);
+    }
+    positions.needsUpdate = true;
+    turnLeafGeo.computeVertexNormals();
+}
+
+// step: +1 = next spread, -1 = previous spread
+function turnPage(step) {
+    const to = bookState.spread + step;
+    if (to < 0 || to >= BOOK_SPREADS.length) return;
+    // Only an open book on the home page can be leafed through
+    if (bookState.turn || currentPageId !== 'home' || bookState.target !== 1.0) return;
+
+    const from = bookState.spread;
+    bookState.spread = to;
+    setPollinationSpread(pollinationSim, to);
+    wakeRenderLoop();
+    if (reducedMotion) {
+        spreadGroups[from].visible = false;
+        spreadGroups[to].visible = true;
+    } else {
+        bookState.turn = { from, to, direction: step > 0 ? 1 : -1, progress: 0 };
+    }
+    updateBookCaption();
+}
+
+// Advances the running page turn; returns the scale of the pop-ups (0 at the midpoint)
+function updatePageTurn(delta) {
+    const turn = bookState.turn;
+    if (!turn) return 1;
+
+    // A closing book finishes the turn at once
+    turn.progress = bookState.target < 1.0 ? 1 : Math.min(1, turn.progress + delta / sceneAnimation.pageTurnDuration);
+    const p = turn.progress;
+    const eased = p < 0.5 ? 2 * p * p : 1 - Math.pow(-2 * p + 2, 2) / 2;
+
+    turnPivot.visible = true;
+    turnPivot.rotation.z = (turn.direction > 0 ? eased : 1 - eased) * Math.PI;
+    bendTurnLeaf(eased, turn.direction);
+
+    const showNew = p >= 0.5;
+    spreadGroups[turn.from].visible = !showNew;
+    spreadGroups[turn.to].visible = showNew;
+
+    if (p >= 1) {
+        bookState.turn = null;
+        turnPivot.visible = false;
+        return 1;
+    }
+    return Math.abs(1 - 2 * p);
+}
+
+function updateBookCaption() {
+    const spread = BOOK_SPREADS[bookState.spread];
+    const indexEl = document.getElementById('book-spread-index');
+    if (!indexEl) return;
+    indexEl.textContent = `${bookState.spread + 1} / ${BOOK_SPREADS.length}`;
+    document.getElementById('book-spread-title').textContent = t(`book.${spread.id}.title`);
+    document.getElementById('book-spread-caption').textContent = t(`book.${spread.id}.caption`);
+    document.getElementById('book-prev-btn').disabled = bookState.spread === 0;
+    document.getElementById('book-next-btn').disabled = bookState.spread === BOOK_SPREADS.length - 1;
+}
+
+updateBookCaption();
+document.addEventListener('localechange', updateBookCaption, { signal: bookLifetime.signal });
+
+// Arrow keys turn pages on the home page (unless typing or in a dialog)
+document.addEventListener('keydown', (e) => {
+    if (currentPageId !== 'home' || e.target.closest?.('input, select, textarea, [role="dialog"]')) return;
+    if (e.key === 'ArrowRight') turnPage(1);
+    if (e.key === 'ArrowLeft') turnPage(-1);
+}, { signal: bookLifetime.signal });
+
+// Swipe across the book, or click its right/left half
+let bookPointerStart = null;
+const BOOK_SWIPE_DISTANCE = 50; // px
+
+container.addEventListener('pointerdown', (e) => {
+    bookPointerStart = { x: e.clientX, y: e.clientY };
+}, { signal: bookLifetime.signal });
+
+container.addEventListener('pointerup', (e) => {
+    if (!bookPointerStart) return;
+    const dx = e.clientX - bookPointerStart.x;
+    const dy = e.clientY - bookPointerStart.y;
+    bookPointerStart = null;
+
+    if (Math.abs(dx) > BOOK_SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+        turnPage(dx < 0 ? 1 : -1); // Swipe left = next page
+    } else if (Math.abs(dx) < 5 && Math.abs(dy) < 5) {
+        // A tap on a flower or bee opens its story; anywhere else turns the page
+        const picked = pickObjectAt(e.clientX, e.clientY);
+        if (picked) {
+            openPickPanel(picked.userData.pick);
+        } else {
+            turnPage(e.clientX > window.innerWidth / 2 ? 1 : -1);
+        }
+    }
+}, { signal: bookLifetime.signal });
+
+// --- 3D Picking ---
+// Objects tagged with userData.pick (flowers, bees and the parts on each
+// spread) can be hovered and clicked. The tag selects the catalog entries
+// pick.<tag>.title / .body / .question shown in #pick-panel.
+const raycaster = new THREE.Raycaster();
+const pointerNdc = new THREE.Vector2();
+const highlightMaterials = new Map(); // Original material -> glowing copy
+let hoveredObject = null;
+
+function isShown(object) {
+    for (let node = object; node; node = node.parent) {
+        if (!node.visible) return false;
+    }
+    return true;
+}
+
+// Nearest visible tagged object under the given screen point, or null
+function pickObjectAt(clientX, clientY) {
+    if (currentPageId !== 'home' || bookState.turn) return null;
+
+    const rect = container.getBoundingClientRect();
+    pointerNdc.set(
+        ((clientX - rect.left) / rect.width) * 2 - 1,
+        -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointerNdc, camera);
+
+    for (const hit of raycaster.intersectObjects([popupGroup, ...bees], true)) {
+        if (!isShown(hit.object)) continue;
+        for (let node = hit.object; node; node = node.parent) {
+            if (node.userData.pick) return node;
+        }
+    }
+    return null;
+}
+
+function getHighlightMaterial(material) {
+    if (!highlightMaterials.has(material)) {
+        const glow = material.clone();
+        if (glow.emissive) glow.emissive.setHex(0x665522);
+        highlightMaterials.set(material, glow);
+    }
+    return highlightMaterials.get(material);
+}
+
+function setHighlight(object, isOn) {
+    object.traverse(child => {
+        if (!child.isMesh) return;
+        if (isOn) {
+            child.userData.baseMaterial = child.material;
+            child.material = getHighlightMaterial(child.material);
+        } else if (child.userData.baseMaterial) {
+            child.material = child.userData.baseMaterial;
+            delete child.userData.baseMaterial;
+        }
+    });
+}
+
+function setHoveredObject(object) {
+    if (object === hoveredObject) return;
+    if (hoveredObject) setHighlight(hoveredObject, false);
+    hoveredObject = object;
+    if (hoveredObject) setHighlight(hoveredObject, true);
+    container.style.cursor = hoveredObject ? 'pointer' : '';
+    wakeRenderLoop();
+}
+
+// Touch has no hover; the highlight only follows a mouse or pen
+container.addEventListener('pointermove', (e) => {
+    if (e.pointerType === 'touch') return;
+    setHoveredObject(pickObjectAt(e.clientX, e.clientY));
+}, { signal: bookLifetime.signal });
+container.addEventListener('pointerleave', () => setHoveredObject(null), { signal: bookLifetime.signal });
+
+let openPickId = null;
+
+function openPickPanel(pickId) {
+    openPickId = pickId;
+    renderPickPanel();
+    const panelEl = document.getElementById('pick-panel');
+    panelEl.classList.remove('hidden');
+    document.getElementById('pick-ask-btn').focus({ preventScroll: true });
 }
 
+function renderPickPanel() {
+    if (!openPickId) return;
+    document.getElementById('pick-title').textContent = t(`pick.${openPickId}.title`);
+    document.getElementById('pick-body').textContent = t(`pick.${openPickId}.body`);
+}
+
+function closePickPanel() {
+    openPickId = null;
+    document.getElementById('pick-panel').classList.add('hidden');
+}
+
+// Pre-fills the Hive Mind with a question about the picked object
+function askAboutPick() {
+    if (!openPickId) return;
+    const inputEl = document.getElementById('hive-input');
+    inputEl.value = t(`pick.${openPickId}.question`);
+    closePickPanel();
+    navigateTo('knowledge', { focusEl: inputEl });
+}
+
+document.addEventListener('localechange', renderPickPanel, { signal: bookLifetime.signal });
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && openPickId) closePickPanel();
+}, { signal: bookLifetime.signal });
+
+// The bee behaviour itself (createPollinationSim, stepPollinationSim, ...)
+// is in pollination-sim.js, loaded before this file.
+
 const bees = [];
 function createBee() {
     const beeGroup = new THREE.Group();
@@ -639,6 +4645,7 @@ function createBee() {
     beeGroup.add(wingR);
 
     beeGroup.userData = {
+        pick: 'bee',
         angle: Math.random() * Math.PI * 2,
         speed: 0.01 + Math.random() * 0.01,
         radius: 1.5 + Math.random() * 1.5,
@@ -648,10 +4655,649 @@ function createBee() {
     return beeGroup;
 }
 
-for (let i = 0; i < 5; i++) {
+// A bee working the flowers of the open book
+function createHomeBee() {
     const bee = createBee();
-    bees.push(bee);
-    scene.add(bee);
+
+    // Pollen baskets on the hind legs, shown while carrying pollen
+    const pollenLoad = new THREE.Group();
+    [-0.1, 0.1].forEach(x => {
+        const basket = new THREE.Mesh(new THREE.IcosahedronGeometry(0.05, 0), paperGoldMat);
+        basket.position.set(x, -0.1, -0.05);
+        pollenLoad.add(basket);
+    });
+    pollenLoad.visible = false;
+    bee.add(pollenLoad);
+    bee.userData.pollenLoad = pollenLoad;
+    return bee;
+}
+
+// --- Pollination in the Scene ---
+// Connects the simulation to the pop-up flowers (any object with
+// userData.bloom) and the bees above, and keeps the counter up to date.
+const POLLEN_PARTICLE_COUNT = 30;
+const POLLEN_PARTICLE_LIFE = 1.2; // seconds
+
+// Position of an object's origin in the coordinates of one of its ancestors
+function positionInGroup(object, ancestor) {
+    const position = new THREE.Vector3();
+    for (let node = object; node !== ancestor; node = node.parent) {
+        node.updateMatrix();
+        position.applyMatrix4(node.matrix);
+    }
+    return position;
+}
+
+const pollinationFlowers = []; // Flower objects, indexed like pollinationSim.flowers
+let pollinationSim = null;
+
+// Starts a fresh simulation on the current spreads and bees
+function buildPollination(animation) {
+    pollinationFlowers.length = 0;
+    pollinationSim = createPollinationSim({
+        flowers: spreadGroups.flatMap((group, spread) => {
+            const found = [];
+            group.traverse(child => {
+                if (!child.userData.bloom) return;
+                pollinationFlowers.push(child);
+                const { x, y, z } = positionInGroup(child.userData.bloom, popupGroup);
+                found.push({ x, y, z, spread });
+            });
+            return found;
+        }),
+        beeCount: bees.length,
+        spread: bookState.spread,
+        flightSpeed: animation.beeFlightSpeed,
+        landingTime: animation.beeLandingTime
+    });
+    updatePollinationCounter();
+}
+
+// The bloom turns into a smaller, ochre seed head
+function showPollinated(flower) {
+    const bloom = flower.userData.bloom;
+    if (bloom.userData.baseMaterial) {
+        // Currently highlighted by the pointer
+        bloom.userData.baseMaterial = paperSeedMat;
+        bloom.material = getHighlightMaterial(paperSeedMat);
+    } else {
+        bloom.material = paperSeedMat;
+    }
+    bloom.scale.multiplyScalar(0.8);
+}
+
+// Pollen dust lives in popupGroup, i.e. in book space like the simulation
+const pollenParticleGeo = new THREE.TetrahedronGeometry(0.03, 0);
+const pollenParticles = Array.from({ length: POLLEN_PARTICLE_COUNT }, () => {
+    const particle = new THREE.Mesh(pollenParticleGeo, paperGoldMat);
+    particle.visible = false;
+    particle.userData = { life: 0, velocity: new THREE.Vector3() };
+    popupGroup.add(particle);
+    return particle;
+});
+let nextPollenParticle = 0;
+
+function spawnPollenBurst(x, y, z, count = 6) {
+    for (let i = 0; i < count; i++) {
+        const particle = pollenParticles[nextPollenParticle];
+        nextPollenParticle = (nextPollenParticle + 1) % POLLEN_PARTICLE_COUNT;
+        particle.position.set(x, y, z);
+        particle.userData.life = POLLEN_PARTICLE_LIFE;
+        particle.userData.velocity.set((Math.random() - 0.5) * 0.6, 0.3 + Math.random() * 0.4, (Math.random() - 0.5) * 0.6);
+        particle.visible = true;
+    }
+}
+
+function updatePollenParticles(delta) {
+    pollenParticles.forEach(particle => {
+        const data = particle.userData;
+        if (data.life <= 0) return;
+        data.life -= delta;
+        data.velocity.y -= delta * 0.8; // Dust settles
+        particle.position.addScaledVector(data.velocity, delta);
+        const size = Math.max(data.life / POLLEN_PARTICLE_LIFE, 0);
+        particle.scale.set(size, size, size);
+        particle.visible = data.life > 0;
+    });
+}
+
+function handlePollinationEvents(events) {
+    events.forEach(event => {
+        const flower = pollinationSim.flowers[event.flower];
+        if (event.type === 'collect') {
+            spawnPollenBurst(flower.x, flower.y + BEE_LANDING_HEIGHT, flower.z);
+        } else if (event.type === 'pollinate') {
+            showPollinated(pollinationFlowers[event.flower]);
+            updatePollinationCounter();
+        }
+    });
+}
+
+function updatePollinationCounter() {
+    const counterEl = document.getElementById('pollination-counter');
+    if (!counterEl || !pollinationSim) return;
+    counterEl.textContent = t('pollination.counter', {
+        count: pollinationSim.pollinatedCount,
+        total: pollinationSim.flowers.length
+    });
+}
+
+document.addEventListener('localechange', updatePollinationCounter, { signal: bookLifetime.signal });
+
+// --- Scene Description ---
+// Materials, lights, the flowers and moths on each spread, the number of bees
+// and the animation timings are data (data/scene.json), so the pop-up can be
+// changed without touching this file. DEFAULT_SCENE is built right away; the
+// file replaces it once loaded. A file that fails validation keeps the
+// built-in scene on screen and lists its problems in #scene-error.
+const SCENE_DESCRIPTION_URL = 'data/scene.json';
+
+const DEFAULT_SCENE = {
+    materials: {
+        paperWhite: { color: '#ffffff', roughness: 0.9, emissive: '#111111' },
+        paperSage: { color: '#9cb070', roughness: 0.8 },
+        paperDark: { color: '#111111', roughness: 0.9 },
+        paperGold: { color: '#ffd700', roughness: 0.3, metalness: 0.3, emissive: '#221100' },
+        paperSeed: { color: '#c08a3e', roughness: 0.8 },
+        table: { color: '#1a1a1a', roughness: 0.8, metalness: 0.2 }
+    },
+    lights: [
+        { type: 'ambient', color: '#ffffff', intensity: 0.3 },
+        { type: 'directional', color: '#fffaed', intensity: 1.2, position: [0, 15, 5], castShadow: true },
+        { type: 'point', color: '#445588', intensity: 1.0, position: [-10, 5, -10] },
+        { type: 'point', color: '#886644', intensity: 0.5, position: [10, 5, 10] }
+    ],
+    objects: [
+        { type: 'flower', spread: 'flower-anatomy', position: [0.9, 0, -2], scale: 0.7 },
+        { type: 'flower', spread: 'flower-anatomy', position: [3.2, 0, -1.6], scale: 0.65 },
+        { type: 'flower', spread: 'flower-anatomy', position: [1, 0, 2], scale: 0.75 },
+        { type: 'flower', spread: 'flower-anatomy', position: [3.1, 0, 1.8], scale: 0.6 },
+        { type: 'nightFlower', spread: 'nocturnal', position: [1.4, 0, -0.8], scale: 1.1 },
+        { type: 'nightFlower', spread: 'nocturnal', position: [2.4, 0, 0.6], scale: 0.9 },
+        { type: 'nightFlower', spread: 'nocturnal', position: [1.2, 0, 1.7], scale: 0.8 },
+        { type: 'moth', spread: 'nocturnal', position: [1.9, 2.3, -0.4] },
+        { type: 'moth', spread: 'nocturnal', position: [2.9, 2.0, 1.2] }
+    ],
+    bees: { home: 5, team: 3 },
+    animation: {
+        pageTurnDuration: 0.9,
+        beeFlightSpeed: 1.2,
+        beeLandingTime: 1.5,
+        wingFlapSpeed: 30,
+        bookFloatHeight: 0.1,
+        popupSway: 0.05
+    }
+};
+
+const SCENE_COLOR_SCHEMA = { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' };
+const SCENE_VECTOR_SCHEMA = { type: 'array', items: { type: 'number' }, minItems: 3, maxItems: 3 };
+const SCENE_MATERIAL_SCHEMA = {
+    type: 'object',
+    properties: {
+        color: SCENE_COLOR_SCHEMA,
+        roughness: { type: 'number', minimum: 0, maximum: 1 },
+        metalness: { type: 'number', minimum: 0, maximum: 1 },
+        emissive: SCENE_COLOR_SCHEMA
+    },
+    required: ['color']
+};
+const SCENE_MATERIAL_NAMES = ['paperWhite', 'paperSage', 'paperDark', 'paperGold', 'paperSeed', 'table'];
+const SCENE_ANIMATION_KEYS = ['pageTurnDuration', 'beeFlightSpeed', 'beeLandingTime', 'wingFlapSpeed', 'bookFloatHeight', 'popupSway'];
+
+const SCENE_SCHEMA = {
+    type: 'object',
+    properties: {
+        materials: {
+            type: 'object',
+            properties: Object.fromEntries(SCENE_MATERIAL_NAMES.map(name => [name, SCENE_MATERIAL_SCHEMA])),
+            required: SCENE_MATERIAL_NAMES
+        },
+        lights: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string', enum: ['ambient', 'directional', 'point'] },
+                    color: SCENE_COLOR_SCHEMA,
+                    intensity: { type: 'number', minimum: 0 },
+                    position: SCENE_VECTOR_SCHEMA,
+                    castShadow: { type: 'boolean' }
+                },
+                required: ['type', 'color', 'intensity']
+            }
+        },
+        objects: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string', enum: Object.keys(SCENE_OBJECT_FACTORIES) },
+                    spread: { type: 'string', enum: BOOK_SPREADS.map(spread => spread.id) },
+                    position: SCENE_VECTOR_SCHEMA,
+                    scale: { type: 'number', minimum: 0.05, maximum: 5 }
+                },
+                required: ['type', 'spread', 'position']
+            }
+        },
+        bees: {
+            type: 'object',
+            properties: {
+                home: { type: 'integer', minimum: 0, maximum: 20 },
+                team: { type: 'integer', minimum: 0, maximum: 10 }
+            },
+            required: ['home', 'team']
+        },
+        animation: {
+            type: 'object',
+            properties: Object.fromEntries(SCENE_ANIMATION_KEYS.map(key => [key, { type: 'number', minimum: 0 }])),
+            required: SCENE_ANIMATION_KEYS
+        }
+    },
+    required: ['materials', 'lights', 'objects', 'bees', 'animation']
+};
+
+// Returns a list of problems; empty means the description can be built
+function validateSceneDescription(description) {
+    const errors = validateSchema(description, SCENE_SCHEMA);
+    if (errors.length > 0) return errors;
+
+    // Rules the schema subset can't express
+    description.lights.forEach((light, i) => {
+        if (light.type !== 'ambient' && !light.position) {
+            errors.push(t('validation.lightPosition', { path: `$.lights[${i}].position`, type: light.type }));
+        }
+    });
+    if (description.animation.pageTurnDuration === 0) {
+        errors.push(t('validation.positive', { path: '$.animation.pageTurnDuration', actual: 0 }));
+    }
+    return errors;
+}
+
+const SCENE_MATERIALS = {
+    paperWhite: paperWhiteMat,
+    paperSage: paperSageMat,
+    paperDark: paperDarkMat,
+    paperGold: paperGoldMat,
+    paperSeed: paperSeedMat,
+    table: tableMat
+};
+
+let sceneAnimation = DEFAULT_SCENE.animation;
+
+function applySceneMaterials(materials) {
+    Object.entries(SCENE_MATERIALS).forEach(([name, material]) => {
+        const values = materials[name];
+        material.color.set(values.color);
+        material.roughness = values.roughness ?? 1;
+        material.metalness = values.metalness ?? 0;
+        material.emissive.set(values.emissive ?? '#000000');
+    });
+}
+
+function buildSceneLights(lights) {
+    lightGroup.children.forEach(light => light.dispose());
+    lightGroup.clear();
+
+    lights.forEach(({ type, color, intensity, position, castShadow }) => {
+        let light;
+        if (type === 'ambient') {
+            light = new THREE.AmbientLight(color, intensity);
+        } else if (type === 'directional') {
+            light = new THREE.DirectionalLight(color, intensity);
+        } else {
+            light = new THREE.PointLight(color, intensity);
+        }
+        if (position) light.position.set(...position);
+        if (castShadow && light.shadow) {
+            light.castShadow = true;
+            light.shadow.mapSize.width = 2048;
+            light.shadow.mapSize.height = 2048;
+            light.shadow.bias = -0.0001;
+        }
+        lightGroup.add(light);
+    });
+}
+
+// Frees the GPU resources of a removed object (shared paper materials stay)
+function disposeSceneObject(object) {
+    const shared = new Set(Object.values(SCENE_MATERIALS));
+    object.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material && !shared.has(child.material)) child.material.dispose();
+    });
+}
+
+function buildBees({ home, team }) {
+    bees.forEach(bee => {
+        scene.remove(bee);
+        disposeSceneObject(bee);
+    });
+    bees.length = 0;
+    for (let i = 0; i < home; i++) {
+        const bee = createHomeBee();
+        bees.push(bee);
+        scene.add(bee);
+    }
+
+    [...teamBeeGroup.children].forEach(bee => {
+        teamBeeGroup.remove(bee);
+        disposeSceneObject(bee);
+    });
+    for (let i = 0; i < team; i++) teamBeeGroup.add(createTeamBee());
+}
+
+// Builds (or rebuilds) everything the description controls
+function buildScene(description) {
+    // Highlight copies were made from the old material settings
+    setHoveredObject(null);
+    highlightMaterials.forEach(material => material.dispose());
+    highlightMaterials.clear();
+
+    sceneAnimation = description.animation;
+    applySceneMaterials(description.materials);
+    buildSceneLights(description.lights);
+    buildSpreads(description.objects);
+    buildBees(description.bees);
+    buildPollination(description.animation);
+}
+
+async function loadSceneDescription() {
+    let description;
+    try {
+        const response = await fetch(SCENE_DESCRIPTION_URL);
+        if (!response.ok) throw new Error(`Scene Error: ${response.status}`);
+        description = await response.json();
+    } catch (error) {
+        // A missing file just means the built-in scene; broken JSON is reported
+        console.warn("Scene description not loaded:", error);
+        if (error.name === 'SyntaxError') showSceneErrors([error.message]);
+        return;
+    }
+
+    const problems = validateSceneDescription(description);
+    if (problems.length > 0) {
+        console.warn("Scene description rejected:", problems);
+        rejectedSceneDescription = description;
+        showSceneErrors(problems);
+        return;
+    }
+    buildScene(description);
+}
+
+// Kept so the report can be redrawn in another language
+let rejectedSceneDescription = null;
+
+function showSceneErrors(problems) {
+    const listEl = document.getElementById('scene-error-list');
+    listEl.replaceChildren(...problems.map(problem => createTextElement('li', '', problem)));
+    document.getElementById('scene-error').classList.remove('hidden');
+}
+
+function closeSceneErrors() {
+    document.getElementById('scene-error').classList.add('hidden');
+}
+
+document.addEventListener('localechange', () => {
+    if (rejectedSceneDescription && !document.getElementById('scene-error').classList.contains('hidden')) {
+        showSceneErrors(validateSceneDescription(rejectedSceneDescription));
+    }
+}, { signal: bookLifetime.signal });
+
+// --- Pollinator Models ---
+// Low-poly paper models for the species cards. Every model faces +z and keeps
+// its flapping parts in userData.flap: { wings: [left, right], axis, speed,
+// amplitude }. Wings on the 'z' axis are hinged at the body and mirrored;
+// the bee keeps the flutter of createBee().
+const SPECIES_MODEL_START = new THREE.Vector3(14, 6, -8);  // Off-screen right
+const SPECIES_MODEL_ANCHOR = new THREE.Vector3(0, 3, -2);  // Behind the page, near the top
+const SPECIES_MODEL_FLIGHT_TIME = 2.5; // seconds
+const SPECIES_MODEL_SCALE = 1.5;
+
+// A translucent paper wing material, one per model so it can be disposed with it
+function createWingMaterial(color, opacity) {
+    return new THREE.MeshStandardMaterial({
+        color,
+        transparent: true,
+        opacity,
+        side: THREE.DoubleSide,
+        roughness: 0.9,
+        emissive: 0x222222
+    });
+}
+
+// Two wings hinged at ±offsetX; `geometry` lies flat and extends towards +x
+function createWingPair(geometry, material, offsetX, y = 0) {
+    return [-1, 1].map(side => {
+        const pivot = new THREE.Group();
+        const wing = new THREE.Mesh(geometry, material);
+        wing.scale.x = side; // Mirror the left wing
+        pivot.add(wing);
+        pivot.position.set(side * offsetX, y, 0);
+        return pivot;
+    });
+}
+
+// Flat wing shape from an outline in the xz plane (x outwards, z forwards)
+function createWingGeometry(points) {
+    const shape = new THREE.Shape(points.map(([x, z]) => new THREE.Vector2(x, -z)));
+    const geometry = new THREE.ShapeGeometry(shape);
+    geometry.rotateX(-Math.PI / 2);
+    return geometry;
+}
+
+function finishModel(model, wings, axis, speed, amplitude) {
+    model.userData.flap = { wings, axis, speed, amplitude };
+    model.traverse(child => { child.castShadow = true; });
+    return model;
+}
+
+const POLLINATOR_MODEL_FACTORIES = {
+    // Hummingbird: long bill, blurred wings
+    bird: () => {
+        const model = new THREE.Group();
+        const body = new THREE.Mesh(new THREE.IcosahedronGeometry(0.25, 0), paperSageMat);
+        body.scale.set(0.8, 0.8, 1.5);
+        const head = new THREE.Mesh(new THREE.IcosahedronGeometry(0.15, 0), paperSageMat);
+        head.position.set(0, 0.1, 0.4);
+        const bill = new THREE.Mesh(new THREE.ConeGeometry(0.025, 0.5, 4), paperDarkMat);
+        bill.rotation.x = Math.PI / 2;
+        bill.position.set(0, 0.08, 0.75);
+        const tail = new THREE.Mesh(new THREE.ConeGeometry(0.12, 0.4, 3), paperDarkMat);
+        tail.rotation.x = -Math.PI / 2;
+        tail.position.z = -0.5;
+        const wings = createWingPair(createWingGeometry([[0, 0.1], [0.8, 0], [0.7, -0.15], [0, -0.15]]), createWingMaterial(0xffffff, 0.7), 0.12, 0.1);
+        model.add(body, head, bill, tail, ...wings);
+        return finishModel(model, wings, 'z', 45, 0.9);
+    },
+    // Nectar bat: dark membrane wings with pointed ears
+    bat: () => {
+        const model = new THREE.Group();
+        const body = new THREE.Mesh(new THREE.IcosahedronGeometry(0.22, 0), paperDarkMat);
+        body.scale.set(0.9, 0.8, 1.4);
+        const head = new THREE.Mesh(new THREE.IcosahedronGeometry(0.14, 0), paperDarkMat);
+        head.position.z = 0.35;
+        [-1, 1].forEach(side => {
+            const ear = new THREE.Mesh(new THREE.ConeGeometry(0.05, 0.15, 3), paperDarkMat);
+            ear.position.set(side * 0.07, 0.15, 0.35);
+            model.add(ear);
+        });
+        const wingGeo = createWingGeometry([[0, 0.2], [0.5, 0.25], [1.0, 0.1], [0.85, -0.1], [0.6, -0.05], [0.4, -0.25], [0, -0.2]]);
+        const wings = createWingPair(wingGeo, createWingMaterial(0x2a2a2a, 0.95), 0.15);
+        model.add(body, head, ...wings);
+        return finishModel(model, wings, 'z', 10, 0.7);
+    },
+    // Hawkmoth: stout body, narrow swept-back forewings
+    moth: () => {
+        const model = new THREE.Group();
+        const body = new THREE.Mesh(new THREE.ConeGeometry(0.12, 0.7, 6), paperDarkMat);
+        body.rotation.x = -Math.PI / 2;
+        const head = new THREE.Mesh(new THREE.IcosahedronGeometry(0.09, 0), paperDarkMat);
+        head.position.z = 0.38;
+        [-1, 1].forEach(side => {
+            const antenna = new THREE.Mesh(new THREE.CylinderGeometry(0.008, 0.008, 0.3, 3), paperDarkMat);
+            antenna.position.set(side * 0.06, 0.08, 0.5);
+            antenna.rotation.set(Math.PI / 3, 0, -side * 0.4);
+            model.add(antenna);
+        });
+        const wings = createWingPair(createWingGeometry([[0, 0.2], [0.7, -0.05], [0.55, -0.2], [0, -0.1]]), createWingMaterial(0xd8d0c0, 0.95), 0.08, 0.05);
+        model.add(body, head, ...wings);
+        return finishModel(model, wings, 'z', 18, 0.6);
+    },
+    // Butterfly: slim body, large gold fore- and hindwings
+    butterfly: () => {
+        const model = new THREE.Group();
+        const body = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 0.5, 5), paperDarkMat);
+        body.rotation.x = Math.PI / 2;
+        const wingGeo = createWingGeometry([[0, 0.1], [0.45, 0.35], [0.65, 0.1], [0.5, -0.1], [0.55, -0.35], [0.2, -0.3], [0, -0.1]]);
+        const wings = createWingPair(wingGeo, createWingMaterial(0xe8b830, 0.95), 0.03);
+        model.add(body, ...wings);
+        return finishModel(model, wings, 'z', 6, 1.0);
+    },
+    // Beetle: raised wing cases over whirring hindwings
+    beetle: () => {
+        const model = new THREE.Group();
+        const body = new THREE.Mesh(new THREE.IcosahedronGeometry(0.22, 0), paperDarkMat);
+        body.scale.set(0.9, 0.6, 1.3);
+        const head = new THREE.Mesh(new THREE.IcosahedronGeometry(0.1, 0), paperDarkMat);
+        head.position.z = 0.3;
+        [-1, 1].forEach(side => {
+            const elytron = new THREE.Mesh(new THREE.IcosahedronGeometry(0.15, 0), paperGoldMat);
+            elytron.scale.set(0.6, 0.4, 1.4);
+            elytron.position.set(side * 0.13, 0.15, -0.02);
+            elytron.rotation.z = side * 0.6;
+            model.add(elytron);
+        });
+        const wings = createWingPair(createWingGeometry([[0, 0.05], [0.5, -0.05], [0.45, -0.2], [0, -0.15]]), createWingMaterial(0xffffff, 0.6), 0.1, 0.05);
+        model.add(body, head, ...wings);
+        return finishModel(model, wings, 'z', 25, 0.5);
+    },
+    // Hoverfly: banded abdomen, big eyes, one pair of clear wings
+    fly: () => {
+        const model = new THREE.Group();
+        [0, 1, 2].forEach(i => {
+            const band = new THREE.Mesh(new THREE.CylinderGeometry(0.1 - i * 0.02, 0.1 - i * 0.02, 0.12, 6), i % 2 === 0 ? paperGoldMat : paperDarkMat);
+            band.rotation.x = Math.PI / 2;
+            band.position.z = -0.05 - i * 0.12;
+            model.add(band);
+        });
+        const thorax = new THREE.Mesh(new THREE.IcosahedronGeometry(0.1, 0), paperDarkMat);
+        thorax.position.z = 0.1;
+        [-1, 1].forEach(side => {
+            const eye = new THREE.Mesh(new THREE.IcosahedronGeometry(0.06, 0), paperDarkMat);
+            eye.position.set(side * 0.05, 0.03, 0.22);
+            model.add(eye);
+        });
+        const wings = createWingPair(createWingGeometry([[0, 0.05], [0.45, 0], [0.4, -0.12], [0, -0.08]]), createWingMaterial(0xffffff, 0.5), 0.06, 0.08);
+        model.add(thorax, ...wings);
+        return finishModel(model, wings, 'z', 40, 0.6);
+    },
+    bee: () => {
+        const model = createBee();
+        return finishModel(model, [model.children[2], model.children[3]], 'x', 30, 0.5);
+    }
+};
+
+// Matched against the family first, then the order, then the icon, so a
+// hawkmoth drawn with 🦋 is still a moth (butterfly families come before
+// the remaining Lepidoptera, which are moths)
+const POLLINATOR_MODEL_RULES = [
+    { kind: 'bat', pattern: /chiroptera|pteropodidae|phyllostomidae|🦇/iu },
+    { kind: 'bird', pattern: /apodiformes|trochilidae|passeriformes|psittaciformes|nectariniidae|meliphagidae|🐦|🦜|🐤|🕊/iu },
+    { kind: 'butterfly', pattern: /papilionidae|nymphalidae|pieridae|lycaenidae|hesperiidae|riodinidae|🦋/iu },
+    { kind: 'moth', pattern: /lepidoptera|sphingidae|noctuidae|saturniidae/iu },
+    { kind: 'beetle', pattern: /coleoptera|🪲|🐞/iu },
+    { kind: 'fly', pattern: /diptera|syrphidae|🪰/iu },
+    { kind: 'bee', pattern: /hymenoptera|apidae|halictidae|megachilidae|🐝/iu }
+];
+
+// Used when nothing in the taxonomy matches
+const POLLINATOR_MODEL_BY_CATEGORY = {
+    'rainforest-birds': 'bird',
+    'nocturnal': 'moth',
+    'beetles-flies': 'beetle',
+    'butterflies': 'butterfly'
+};
+
+// Returns a key of POLLINATOR_MODEL_FACTORIES, or null (e.g. lizards and
+// possums have no flying model)
+function getPollinatorModelKind(profile) {
+    for (const field of [profile.family, profile.order, profile.icon]) {
+        const rule = POLLINATOR_MODEL_RULES.find(({ pattern }) => pattern.test(field || ''));
+        if (rule) return rule.kind;
+    }
+    return POLLINATOR_MODEL_BY_CATEGORY[profile.category] || null;
+}
+
+function createPollinatorModel(kind) {
+    const model = POLLINATOR_MODEL_FACTORIES[kind]();
+    model.scale.setScalar(SPECIES_MODEL_SCALE);
+    model.userData.kind = kind;
+    return model;
+}
+
+// The model flying behind the species page: { object, profile, progress }
+let speciesModel = null;
+
+// Swaps the model for the card on display (null removes it)
+function showSpeciesModel(profile) {
+    if (speciesModel && speciesModel.profile === profile) return; // e.g. re-rendered for a new locale
+    if (speciesModel) {
+        scene.remove(speciesModel.object);
+        disposeSceneObject(speciesModel.object);
+        speciesModel = null;
+    }
+
+    const kind = profile && getPollinatorModelKind(profile);
+    if (!kind) return;
+    const object = createPollinatorModel(kind);
+    object.position.copy(SPECIES_MODEL_START);
+    scene.add(object);
+    speciesModel = { object, profile, progress: 0 };
+    wakeRenderLoop();
+}
+
+const speciesModelTarget = new THREE.Vector3();
+const speciesModelControl = new THREE.Vector3(6, 8, 2); // Swoops in above the table
+
+// Flies the model in along a curve, then lets it hover around the anchor
+function updateSpeciesModel(delta, time) {
+    if (!speciesModel) return;
+    const { object } = speciesModel;
+    object.visible = currentPageId === 'species';
+    if (!object.visible) return;
+
+    // Reduced motion skips the flight and shows the model in place
+    speciesModel.progress = reducedMotion ? 1 : Math.min(1, speciesModel.progress + delta / SPECIES_MODEL_FLIGHT_TIME);
+    const eased = 1 - Math.pow(1 - speciesModel.progress, 3);
+
+    // Hover path: a lazy figure eight around the anchor
+    speciesModelTarget.set(
+        SPECIES_MODEL_ANCHOR.x + Math.sin(time * 0.5) * 2.5,
+        SPECIES_MODEL_ANCHOR.y + Math.sin(time * 1.3) * 0.3,
+        SPECIES_MODEL_ANCHOR.z + Math.sin(time * 1.0) * 0.8
+    );
+    // Quadratic Bézier from the start, through the control point, onto the hover path
+    const u = 1 - eased;
+    const previousX = object.position.x;
+    const previousZ = object.position.z;
+    object.position
+        .copy(SPECIES_MODEL_START).multiplyScalar(u * u)
+        .addScaledVector(speciesModelControl, 2 * u * eased)
+        .addScaledVector(speciesModelTarget, eased * eased);
+
+    const dx = object.position.x - previousX;
+    const dz = object.position.z - previousZ;
+    if (Math.abs(dx) + Math.abs(dz) > 1e-4) object.rotation.y = Math.atan2(dx, dz);
+
+    const { wings, axis, speed, amplitude } = object.userData.flap;
+    const flap = Math.sin(time * speed) * amplitude;
+    if (axis === 'x') {
+        wings.forEach(wing => { wing.rotation.x = flap; });
+    } else {
+        wings[0].rotation.z = -flap;
+        wings[1].rotation.z = flap;
+    }
 }
 
 // --- 4. Animation ---
@@ -667,17 +5313,18 @@ let initialBeta = null;
 document.addEventListener('mousemove', (event) => {
     mouseX = (event.clientX - window.innerWidth / 2) * 0.001;
     mouseY = (event.clientY - window.innerHeight / 2) * 0.001;
-});
+}, { signal: bookLifetime.signal });
 
 const clock = new THREE.Clock();
+let sceneTime = 0; // Animation time; stands still while reduced motion is on
 
 // --- 3D Team Bees Logic ---
 const teamBeeGroup = new THREE.Group();
 scene.add(teamBeeGroup);
 teamBeeGroup.visible = false; // Hidden by default
 
-// Create 3 special bees for the team card
-for (let i = 0; i < 3; i++) {
+// Special bees circling the team card
+function createTeamBee() {
     const bee = createBee();
 
     // Clone materials for fade-in capability
@@ -692,7 +5339,7 @@ for (let i = 0; i < 3; i++) {
     bee.userData.radius = 2.5 + Math.random();
     bee.userData.yOffset = -0.5 + Math.random();
     bee.userData.speed = 0.01 + Math.random() * 0.005; // Slower speed
-    teamBeeGroup.add(bee);
+    return bee;
 }
 
 // Timer reference
@@ -703,19 +5350,24 @@ let currentParallaxWeight = 1.0;
 
 
 function animate() {
-    requestAnimationFrame(animate);
-    const time = clock.getElapsedTime();
+    nextFrameId = null;
+    const frameTime = clock.getDelta();
+    // Frames after an idle gap count as one short step
+    const delta = Math.min(frameTime, 0.1);
+    if (!lastFrameIdle) updateAdaptiveQuality(frameTime);
+    if (!reducedMotion) sceneTime += delta;
+    const time = sceneTime;
 
     // Responsive Parallax Intensity
     const isMobile = window.innerWidth < 768;
     const parallaxScale = isMobile ? 0.5 : 2;
 
     // Override for Team Page (Disable Parallax Smoothly)
-    const isTeamPage = document.getElementById('team') && document.getElementById('team').classList.contains('active');
+    const isTeamPage = currentPageId === 'team';
 
     // Smooth Lerp for Parallax Weight
-    const targetWeight = isTeamPage ? 0.0 : 1.0;
-    currentParallaxWeight += (targetWeight - currentParallaxWeight) * 0.05;
+    const targetWeight = (isTeamPage || reducedMotion) ? 0.0 : 1.0;
+    currentParallaxWeight += (targetWeight - currentParallaxWeight) * (reducedMotion ? 1 : 0.05);
 
     let effectiveMouseX = mouseX * parallaxScale * currentParallaxWeight;
     let effectiveMouseY = mouseY * parallaxScale * currentParallaxWeight;
@@ -730,7 +5382,8 @@ function animate() {
 
     // Book Opening/Closing Animation Logic
     // Faster closing speed (2x normal) for snappy "disappear" feel
-    const lerpSpeed = (bookState.target < bookState.value) ? 0.10 : 0.05;
+    // Reduced motion snaps straight to the target state
+    const lerpSpeed = reducedMotion ? 1 : (bookState.target < bookState.value) ? 0.10 : 0.05;
     bookState.value += (bookState.target - bookState.value) * lerpSpeed;
 
     // Derived Animation Values
@@ -775,25 +5428,37 @@ function animate() {
         rightPivot.rotation.z = bookRotation;
     }
 
-    // Apply Content Scaling
+    // Apply Content Scaling (pop-ups also fold away while a page turns)
+    const popupScale = contentScale * updatePageTurn(delta);
     if (linesGroup) linesGroup.scale.set(contentScale, contentScale, contentScale);
-    popupGroup.scale.set(contentScale, contentScale, contentScale);
-    popupGroup.visible = contentScale > 0.01;
+    popupGroup.scale.set(popupScale, popupScale, popupScale);
+    popupGroup.visible = popupScale > 0.01;
 
-    bees.forEach(bee => {
+    // Pollination: the bees only work while the spread stands open
+    if (contentScale > 0.01 && !bookState.turn && !reducedMotion) {
+        handlePollinationEvents(stepPollinationSim(pollinationSim, Math.min(delta, 0.1)));
+    }
+    updatePollenParticles(delta);
+    bookGroup.updateMatrixWorld();
+
+    bees.forEach((bee, index) => {
         // Scale bees too
         bee.scale.set(contentScale, contentScale, contentScale);
         bee.visible = contentScale > 0.01;
 
         if (contentScale > 0.01) {
             const data = bee.userData;
-            data.angle += data.speed;
-            bee.position.x = Math.cos(data.angle) * data.radius;
-            bee.position.z = Math.sin(data.angle) * data.radius;
-            bee.position.y = data.yOffset + Math.sin(time * data.bobSpeed) * 0.2;
-            bee.rotation.y = -data.angle;
-            bee.children[2].rotation.x = Math.sin(time * 30) * 0.5;
-            bee.children[3].rotation.x = Math.sin(time * 30) * 0.5;
+            const state = pollinationSim.bees[index];
+            // Book space -> world (bees keep their size while pop-ups fold)
+            bee.position.set(state.x, state.y, state.z);
+            bookGroup.localToWorld(bee.position);
+            // The hovering bob fades out while the bee sits on a bloom
+            data.hover = THREE.MathUtils.lerp(data.hover ?? 1, state.state === 'landed' ? 0 : 1, 0.1);
+            bee.position.y += Math.sin(time * data.bobSpeed) * 0.2 * data.hover;
+            bee.rotation.y = state.heading;
+            data.pollenLoad.visible = state.pollen !== null;
+            bee.children[2].rotation.x = Math.sin(time * sceneAnimation.wingFlapSpeed) * 0.5;
+            bee.children[3].rotation.x = Math.sin(time * sceneAnimation.wingFlapSpeed) * 0.5;
         }
     });
 
@@ -801,7 +5466,7 @@ function animate() {
     if (teamBeeGroup.visible) {
         // Fade In
         if (teamBeeOpacity < 1.0) {
-            teamBeeOpacity += 0.01;
+            teamBeeOpacity += reducedMotion ? 1.0 : 0.01;
             if (teamBeeOpacity > 1.0) teamBeeOpacity = 1.0;
         }
     } else {
@@ -820,7 +5485,7 @@ function animate() {
             });
 
             const data = bee.userData;
-            data.angle += data.speed;
+            if (!reducedMotion) data.angle += data.speed;
 
             // Apply Responsive Spread
             bee.position.x = Math.cos(data.angle) * data.radius * spreadScale;
@@ -828,20 +5493,29 @@ function animate() {
 
             bee.position.y = data.yOffset + Math.sin(time * data.bobSpeed) * 0.2;
             bee.rotation.y = -data.angle;
-            bee.children[2].rotation.x = Math.sin(time * 30) * 0.5;
-            bee.children[3].rotation.x = Math.sin(time * 30) * 0.5;
+            bee.children[2].rotation.x = Math.sin(time * sceneAnimation.wingFlapSpeed) * 0.5;
+            bee.children[3].rotation.x = Math.sin(time * sceneAnimation.wingFlapSpeed) * 0.5;
         });
     }
 
-    bookGroup.position.y = Math.sin(time * 0.5) * 0.1;
+    bookGroup.position.y = Math.sin(time * 0.5) * sceneAnimation.bookFloatHeight;
 
-    // Popup float animation
-    popupGroup.children.forEach((child, idx) => {
-        if (contentScale > 0.1) child.rotation.z = (Math.sin(time * 1.5 + idx) * 0.05);
+    // Species model behind the species page
+    updateSpeciesModel(delta, time);
+
+    // Popup float animation (pieces of the current spread)
+    spreadGroups[bookState.spread].children.forEach((child, idx) => {
+        if (contentScale > 0.1) child.rotation.z = (Math.sin(time * 1.5 + idx) * sceneAnimation.popupSway);
     });
     renderer.render(scene, camera);
+    updateRenderStats(frameTime);
+
+    if (!document.hidden && !bookLifetime.signal.aborted) scheduleFrame(isSceneIdle());
 }
-animate();
+
+buildScene(DEFAULT_SCENE);
+loadSceneDescription();
+wakeRenderLoop();
 
 // Responsive Camera Adjustment Logic
 function updateCameraPosition() {
@@ -862,7 +5536,9 @@ window.addEventListener('resize', () => {
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
     updateCameraPosition(); // Recalculate camera pos on resize
-});
+    qualityCeiling = QUALITY_LEVELS.length - 1; // A new size may afford more
+    wakeRenderLoop();
+}, { signal: bookLifetime.signal });
 
 // --- 5. Mobile Gyroscope Parallax ---
 
@@ -898,13 +5574,13 @@ function requestMotionPermission() {
         DeviceOrientationEvent.requestPermission()
             .then(permissionState => {
                 if (permissionState === 'granted') {
-                    window.addEventListener('deviceorientation', handleOrientation);
+                    window.addEventListener('deviceorientation', handleOrientation, { signal: bookLifetime.signal });
                 }
             })
             .catch(console.error);
     } else {
         // Non-iOS or older devices
-        window.addEventListener('deviceorientation', handleOrientation);
+        window.addEventListener('deviceorientation', handleOrientation, { signal: bookLifetime.signal });
     }
 }
 
@@ -912,4 +5588,85 @@ function requestMotionPermission() {
 document.addEventListener('click', function initOps() {
     requestMotionPermission();
     document.removeEventListener('click', initOps);
-});
+}, { signal: bookLifetime.signal });
+
+// --- Embedded Instances ---
+// Host-page side lives in embed.js. The host and the book talk through
+// postMessage: the book announces 'pollination-book:ready' once routed, and
+// answers 'pollination-book:destroy' with 'pollination-book:destroyed'.
+
+// '#d4af37' or '#fc0' -> '212 175 55' (see --book-accent in style.css)
+function hexToRgbChannels(hex) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex || '');
+    if (!match) return null;
+    const digits = match[1].length === 3 ? [...match[1]].map(digit => digit + digit).join('') : match[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)).join(' ');
+}
+
+function applyTheme({ accent, background }) {
+    const rootStyle = document.documentElement.style;
+    const accentChannels = hexToRgbChannels(accent);
+    if (accentChannels) rootStyle.setProperty('--book-accent', accentChannels);
+    const backgroundChannels = hexToRgbChannels(background);
+    if (backgroundChannels) {
+        rootStyle.setProperty('--book-bg', backgroundChannels);
+        // The scene paints its own backdrop and fades into it
+        scene.background.setStyle(background);
+        scene.fog.color.setStyle(background);
+        wakeRenderLoop();
+    }
+}
+
+function applyEmbedOptions() {
+    document.querySelectorAll('.nav-link').forEach(link => {
+        link.closest('li').hidden = !isPageEnabled(link.dataset.page);
+    });
+    applyTheme(EMBED_OPTIONS.theme);
+}
+
+function disposeMaterial(material) {
+    Object.values(material).forEach(value => {
+        if (value && value.isTexture) value.dispose();
+    });
+    material.dispose();
+}
+
+// Stops the book for good: no more frames, timers, requests or page-level
+// listeners, and the GPU memory of the scene is released
+function destroyBook() {
+    if (bookLifetime.signal.aborted) return;
+    bookLifetime.abort();
+
+    cancelAnimationFrame(nextFrameId);
+    clearTimeout(nextFrameTimer);
+    nextFrameId = null;
+    nextFrameTimer = null;
+    clearTimeout(teamBeeTimer);
+    if (hiveAbortController) hiveAbortController.abort();
+    stopVoice();
+    document.querySelectorAll('video').forEach(video => video.pause());
+
+    scene.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) [].concat(child.material).forEach(disposeMaterial);
+    });
+    Object.values(SCENE_MATERIALS).forEach(disposeMaterial);
+    highlightMaterials.forEach(disposeMaterial);
+    highlightMaterials.clear();
+    renderer.dispose();
+    renderer.forceContextLoss();
+    renderer.domElement.remove();
+}
+
+if (EMBED_OPTIONS) {
+    window.addEventListener('DOMContentLoaded', () => {
+        applyEmbedOptions();
+        window.parent.postMessage({ type: 'pollination-book:ready' }, '*');
+    });
+    // Not tied to bookLifetime: a repeated destroy request still gets its answer
+    window.addEventListener('message', (event) => {
+        if (event.source !== window.parent || !event.data || event.data.type !== 'pollination-book:destroy') return;
+        destroyBook();
+        event.source.postMessage({ type: 'pollination-book:destroyed' }, event.origin);
+    });
+}
@@ -0,0 +1,142 @@
+// --- Pollination Simulation ---
+// Bees on the home page fly from bloom to bloom on the open spread. Landing
+// on a flower picks up its pollen, and the pollen pollinates the next flower
+// the bee lands on. The simulation works on plain objects in book space
+// (popupGroup coordinates) with a seeded random source, so a run is
+// reproducible. It has no Three.js or DOM dependency: main.js connects it to
+// the scene, and tests/pollination-sim.test.js steps it on its own.
+const POLLINATION_SEED = 20240501;
+const BEE_FLIGHT_SPEED = 1.2;   // Book units per second
+const BEE_LANDING_TIME = 1.5;   // Seconds spent on a bloom
+const BEE_LANDING_HEIGHT = 0.3; // Above the centre of the bloom
+const BEE_IDLE_CENTER = { x: 2, y: 2.6, z: 0 }; // Circled over spreads without flowers
+const BEE_IDLE_RADIUS = 1.4;
+
+// mulberry32: tiny and plenty random for scene behaviour
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let n = state;
+        n = Math.imul(n ^ (n >>> 15), n | 1);
+        n ^= n + Math.imul(n ^ (n >>> 7), n | 61);
+        return ((n ^ (n >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// flowers: [{ x, y, z, spread }] bloom centres in book space
+function createPollinationSim({
+    flowers,
+    beeCount,
+    seed = POLLINATION_SEED,
+    spread = 0,
+    flightSpeed = BEE_FLIGHT_SPEED,
+    landingTime = BEE_LANDING_TIME
+}) {
+    const random = createSeededRandom(seed);
+    const sim = {
+        random,
+        spread,
+        flightSpeed,
+        landingTime,
+        flowers: flowers.map((flower, id) => ({ ...flower, id, pollinated: false })),
+        bees: [],
+        pollinatedCount: 0
+    };
+
+    for (let i = 0; i < beeCount; i++) {
+        const bee = {
+            state: 'idle', // idle | flying | landed
+            x: 0.5 + random() * 3,
+            y: 2 + random() * 1.5,
+            z: -2.5 + random() * 5,
+            heading: 0,
+            idleAngle: random() * Math.PI * 2,
+            target: null,     // Flower id
+            lastFlower: null, // Flower id
+            pollen: null,     // Id of the flower the carried pollen came from
+            timer: 0
+        };
+        chooseBeeTarget(sim, bee);
+        sim.bees.push(bee);
+    }
+    return sim;
+}
+
+function chooseBeeTarget(sim, bee) {
+    const candidates = sim.flowers.filter(flower => flower.spread === sim.spread && flower.id !== bee.lastFlower);
+    if (candidates.length === 0) {
+        bee.state = 'idle';
+        bee.target = null;
+        return;
+    }
+    bee.state = 'flying';
+    bee.target = candidates[Math.floor(sim.random() * candidates.length)].id;
+}
+
+// Moves the bee up to `distance` towards a point; returns true once it is there
+function moveBee(bee, x, y, z, distance) {
+    const dx = x - bee.x;
+    const dy = y - bee.y;
+    const dz = z - bee.z;
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (dx !== 0 || dz !== 0) bee.heading = Math.atan2(dx, dz);
+    if (length <= distance) {
+        bee.x = x;
+        bee.y = y;
+        bee.z = z;
+        return true;
+    }
+    bee.x += (dx / length) * distance;
+    bee.y += (dy / length) * distance;
+    bee.z += (dz / length) * distance;
+    return false;
+}
+
+// Advances the simulation by dt seconds.
+// Returns the events of this step: { type: 'collect' | 'pollinate', bee, flower }
+function stepPollinationSim(sim, dt) {
+    const events = [];
+    const distance = sim.flightSpeed * dt;
+
+    sim.bees.forEach((bee, index) => {
+        if (bee.state === 'idle') {
+            bee.idleAngle += dt * (sim.flightSpeed / BEE_IDLE_RADIUS);
+            moveBee(bee,
+                BEE_IDLE_CENTER.x + Math.cos(bee.idleAngle) * BEE_IDLE_RADIUS,
+                BEE_IDLE_CENTER.y,
+                BEE_IDLE_CENTER.z + Math.sin(bee.idleAngle) * BEE_IDLE_RADIUS,
+                distance);
+        } else if (bee.state === 'flying') {
+            const flower = sim.flowers[bee.target];
+            if (!moveBee(bee, flower.x, flower.y + BEE_LANDING_HEIGHT, flower.z, distance)) return;
+
+            bee.state = 'landed';
+            bee.timer = sim.landingTime;
+            // Pollen from another flower fertilises this one
+            if (bee.pollen !== null && bee.pollen !== flower.id && !flower.pollinated) {
+                flower.pollinated = true;
+                sim.pollinatedCount++;
+                events.push({ type: 'pollinate', bee: index, flower: flower.id });
+            }
+            bee.pollen = flower.id;
+            events.push({ type: 'collect', bee: index, flower: flower.id });
+        } else if (bee.state === 'landed') {
+            bee.timer -= dt;
+            if (bee.timer > 0) return;
+            bee.lastFlower = bee.target;
+            chooseBeeTarget(sim, bee);
+        }
+    });
+    return events;
+}
+
+// The bees move on to the flowers of another spread (and drop their pollen)
+function setPollinationSpread(sim, spread) {
+    sim.spread = spread;
+    sim.bees.forEach(bee => {
+        bee.pollen = null;
+        bee.lastFlower = null;
+        chooseBeeTarget(sim, bee);
+    });
+}
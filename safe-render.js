@@ -0,0 +1,123 @@
+// --- Safe Rendering of AI Output ---
+// Model replies are untrusted: they may echo HTML or script from the prompt.
+// Markdown is parsed into an inert document, then rebuilt from an allowlist of
+// tags and attributes, so only plain formatting ever reaches the live page.
+// Kept apart from main.js (no Three.js, no page markup) so tests/index.html
+// can run it against malicious payloads. Labels come from t() in main.js.
+const SAFE_TAGS = new Set([
+    'P', 'BR', 'HR', 'STRONG', 'B', 'EM', 'I', 'DEL', 'CODE', 'PRE', 'BLOCKQUOTE',
+    'UL', 'OL', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'A',
+    'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD'
+]);
+// Dropped together with their content (everything else unknown is unwrapped)
+const DROPPED_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'IFRAME', 'FRAME', 'FRAMESET', 'OBJECT', 'EMBED', 'APPLET', 'TEMPLATE',
+    'SVG', 'MATH', 'NOSCRIPT', 'LINK', 'META', 'BASE', 'FORM', 'INPUT', 'TEXTAREA',
+    'SELECT', 'BUTTON', 'IMG', 'VIDEO', 'AUDIO', 'SOURCE', 'TITLE'
+]);
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+// SVG and MathML elements (lowercase tagName, e.g. an SVG <script>) are always dropped
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+function sanitizeNode(node, targetDoc) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return targetDoc.createTextNode(node.textContent);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.namespaceURI !== XHTML_NAMESPACE) {
+        return null; // Comments, processing instructions, foreign content
+    }
+    const tag = node.tagName.toUpperCase();
+    if (DROPPED_TAGS.has(tag)) return null;
+
+    const children = Array.from(node.childNodes)
+        .map(child => sanitizeNode(child, targetDoc))
+        .filter(Boolean);
+
+    if (!SAFE_TAGS.has(tag)) {
+        // Unknown wrapper (div, span, font...): keep its text, lose the element
+        const fragment = targetDoc.createDocumentFragment();
+        children.forEach(child => fragment.appendChild(child));
+        return fragment;
+    }
+
+    // A fresh element carries no attributes over, so no event handlers or styles
+    const clean = targetDoc.createElement(tag.toLowerCase());
+    if (tag === 'A') {
+        const href = (node.getAttribute('href') || '').trim();
+        if (SAFE_URL_PATTERN.test(href)) {
+            clean.setAttribute('href', href);
+            clean.setAttribute('target', '_blank');
+            clean.setAttribute('rel', 'noopener noreferrer nofollow');
+        }
+    }
+    children.forEach(child => clean.appendChild(child));
+    return clean;
+}
+
+// Returns a DocumentFragment holding only allowlisted markup from `html`
+function sanitizeHtml(html) {
+    // DOMParser documents are inert: scripts don't run and images don't load
+    const parsed = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    const fragment = document.createDocumentFragment();
+    Array.from(parsed.body.childNodes).forEach(child => {
+        const clean = sanitizeNode(child, document);
+        if (clean) fragment.appendChild(clean);
+    });
+    return fragment;
+}
+
+// Renders untrusted markdown into `el`
+function renderMarkdown(el, markdown) {
+    el.replaceChildren(sanitizeHtml(marked.parse(markdown)));
+}
+
+// Small helper for building UI from untrusted strings without innerHTML
+function createTextElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+// Builds the species card. Every field comes from the model, so it is only
+// ever inserted as text.
+function renderSpeciesCard(data, categoryLabel) {
+    const card = document.createDocumentFragment();
+
+    card.appendChild(createTextElement('div', 'w-24 h-24 rounded-full bg-[#1a1a1a] border border-gold mx-auto mb-6 flex items-center justify-center text-5xl shadow-[0_0_15px_rgba(212,175,55,0.2)] animate-subtle-float', data.icon));
+    card.appendChild(createTextElement('h3', 'serif-font text-3xl text-white mb-1', data.name));
+    card.appendChild(createTextElement('p', 'text-[#8A9A5B] italic text-sm mb-6 serif-font', data.latinName));
+
+    const details = createTextElement('div', 'text-left bg-[#1a1a1a] p-4 rounded-lg border border-white/5');
+    const label = (text) => createTextElement('p', 'text-xs text-gold uppercase tracking-wider mb-2', text);
+    const twoLines = (first, second) => {
+        const p = createTextElement('p', 'text-gray-300 text-xs leading-relaxed', first);
+        p.appendChild(document.createElement('br'));
+        p.appendChild(document.createTextNode(second));
+        return p;
+    };
+
+    details.appendChild(label(t('species.labelCategory')));
+    details.appendChild(createTextElement('p', 'text-gray-400 text-xs mb-4 border-b border-gray-800 pb-2', categoryLabel));
+
+    const grid = createTextElement('div', 'grid grid-cols-2 gap-4 mb-4 border-b border-gray-800 pb-4');
+    const taxonomy = document.createElement('div');
+    taxonomy.appendChild(label(t('species.labelTaxonomy')));
+    taxonomy.appendChild(twoLines(data.order, data.family));
+    const status = document.createElement('div');
+    status.appendChild(label(t('species.labelStatus')));
+    status.appendChild(twoLines(t(`activeTime.${data.activeTime}`), t(`conservation.${data.conservationStatus}`)));
+    grid.appendChild(taxonomy);
+    grid.appendChild(status);
+    details.appendChild(grid);
+
+    details.appendChild(label(t('species.labelHabitat')));
+    details.appendChild(createTextElement('p', 'text-gray-300 text-sm mb-4', data.habitat));
+    details.appendChild(label(t('species.labelPollinates')));
+    details.appendChild(createTextElement('p', 'text-gray-300 text-sm mb-4', data.pollinates.join(t('list.separator'))));
+    details.appendChild(label(t('species.labelDescription')));
+    details.appendChild(createTextElement('p', 'text-gray-300 text-sm leading-relaxed', data.description));
+
+    card.appendChild(details);
+    return card;
+}
@@ -0,0 +1,73 @@
+// --- Speech Adapter ---
+// Wraps the browser's speech recognition and speech synthesis for the voice
+// questions and read-aloud in main.js. The adapter only touches the window it
+// is given, so tests/speech.test.js drives it with a fake one.
+class SpeechInputError extends Error {
+    constructor(code) {
+        super(`Speech recognition failed: ${code}`);
+        this.name = 'SpeechInputError';
+        this.code = code; // 'not-allowed', 'no-speech', 'audio-capture', 'network', ...
+    }
+}
+
+function createBrowserSpeechAdapter(win = window) {
+    const Recognition = win.SpeechRecognition || win.webkitSpeechRecognition;
+    const synth = win.speechSynthesis;
+
+    return {
+        canListen: () => typeof Recognition === 'function',
+        canSpeak: () => !!synth && typeof win.SpeechSynthesisUtterance === 'function',
+
+        // Resolves with the final transcript ('' if nothing was heard).
+        // Aborting `signal` stops listening but keeps what was heard so far.
+        listen({ lang, signal, onInterim } = {}) {
+            return new Promise((resolve, reject) => {
+                const recognition = new Recognition();
+                recognition.lang = lang;
+                recognition.interimResults = true;
+                recognition.continuous = false;
+                recognition.maxAlternatives = 1;
+
+                let transcript = '';
+                let errorCode = null;
+                const stop = () => recognition.stop();
+
+                recognition.onresult = (event) => {
+                    transcript = Array.from(event.results).map(result => result[0].transcript).join('');
+                    if (onInterim) onInterim(transcript);
+                };
+                recognition.onerror = (event) => { errorCode = event.error; };
+                recognition.onend = () => {
+                    if (signal) signal.removeEventListener('abort', stop);
+                    // 'aborted' is our own stop; 'no-speech' just means an empty result
+                    if (errorCode && errorCode !== 'aborted' && errorCode !== 'no-speech') {
+                        reject(new SpeechInputError(errorCode));
+                    } else {
+                        resolve(transcript.trim());
+                    }
+                };
+
+                if (signal) signal.addEventListener('abort', stop);
+                recognition.start();
+            });
+        },
+
+        speak(text, { lang, onEnd } = {}) {
+            synth.cancel();
+            const utterance = new win.SpeechSynthesisUtterance(text);
+            utterance.lang = lang;
+            utterance.onend = utterance.onerror = () => { if (onEnd) onEnd(); };
+            synth.speak(utterance);
+        },
+
+        stopSpeaking() {
+            synth.cancel();
+        }
+    };
+}
+
+// Answers are markdown; speech should only get the words
+function stripMarkdown(markdown) {
+    const parsed = new DOMParser().parseFromString(`<body>${marked.parse(markdown)}</body>`, 'text/html');
+    return parsed.body.textContent.replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,47 @@
+// --- Embed Options ---
+// The query string comes from whoever links to or embeds the book, so only a
+// proxy the site owner trusts may receive the reader's prompts.
+const BOOK_PAGE = 'https://book.example.org/pollination/index.html';
+const TRUSTED_PROXY = 'https://proxy.example.org';
+
+function embedProxy(proxyUrl) {
+    const search = `?embed&proxyUrl=${encodeURIComponent(proxyUrl)}`;
+    return parseEmbedOptions(search, BOOK_PAGE, [TRUSTED_PROXY]).proxyUrl;
+}
+
+test('parseEmbedOptions ignores pages that are not embedded', () => {
+    assertEqual(parseEmbedOptions('?proxyUrl=https%3A%2F%2Fevil.example', BOOK_PAGE, []), null);
+});
+
+test('parseEmbedOptions reads the listed options', () => {
+    const options = parseEmbedOptions('?embed&locale=en&provider=mock&sections=home,%20species&accent=%23D4AF37', BOOK_PAGE, []);
+    assertEqual(options, {
+        locale: 'en',
+        provider: 'mock',
+        proxyUrl: null,
+        sections: ['home', 'species'],
+        theme: { accent: '#D4AF37', background: null }
+    });
+});
+
+test('a proxy on the book\'s own origin is accepted', () => {
+    assertEqual(embedProxy('/api/gemini'), 'https://book.example.org/api/gemini');
+    assertEqual(embedProxy('https://book.example.org/api/gemini/'), 'https://book.example.org/api/gemini/');
+});
+
+test('a proxy on an allowed origin is accepted', () => {
+    assertEqual(embedProxy('https://proxy.example.org/v1beta'), 'https://proxy.example.org/v1beta');
+});
+
+test('a proxy on a foreign origin is rejected', () => {
+    assertEqual(embedProxy('https://evil.example/collect'), null);
+    assertEqual(embedProxy('//evil.example/collect'), null);
+    assertEqual(embedProxy('https://book.example.org.evil.example/'), null);
+    assertEqual(embedProxy('http://book.example.org/api/gemini'), null, "Other scheme, other origin");
+});
+
+test('a proxy that is not an http(s) URL is rejected', () => {
+    assertEqual(embedProxy('javascript:alert(1)'), null);
+    assertEqual(embedProxy('data:text/plain,x'), null);
+    assertEqual(embedProxy('http://[broken'), null);
+});
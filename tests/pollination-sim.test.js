@@ -0,0 +1,73 @@
+// --- Pollination Simulation ---
+// Steps the seeded simulation without a renderer. The recorded sequence below
+// is what seed 42 produces; a change to it means the bee behaviour changed.
+const SIM_FLOWERS = [
+    { x: 0.5, y: 0.5, z: -1.5, spread: 0 },
+    { x: 1.5, y: 0.8, z: 0, spread: 0 },
+    { x: 2.5, y: 0.5, z: 1.5, spread: 0 },
+    { x: 3.5, y: 0.6, z: -0.5, spread: 0 },
+    { x: 1, y: 0.7, z: 1, spread: 1 },
+    { x: 3, y: 0.7, z: -1, spread: 1 }
+];
+const SIM_STEP = 1 / 30;
+
+// Runs `steps` steps and returns the events as 'type:bee:flower' strings
+function runSim(sim, steps) {
+    const events = [];
+    for (let i = 0; i < steps; i++) {
+        stepPollinationSim(sim, SIM_STEP).forEach(event => events.push(`${event.type}:${event.bee}:${event.flower}`));
+    }
+    return events;
+}
+
+test('createSeededRandom repeats its sequence for a seed', () => {
+    const first = createSeededRandom(1);
+    const second = createSeededRandom(1);
+    const values = [first(), first(), first()];
+    assertEqual([second(), second(), second()], values);
+    assert(values.every(value => value >= 0 && value < 1), "Values outside [0, 1)");
+    assert(createSeededRandom(2)() !== values[0], "Different seeds gave the same value");
+});
+
+test('a seeded run produces the recorded events and count', () => {
+    const sim = createPollinationSim({ flowers: SIM_FLOWERS, beeCount: 3, seed: 42 });
+    assertEqual(runSim(sim, 300), [
+        'collect:1:1', 'collect:2:0', 'collect:0:0', 'pollinate:1:2', 'collect:1:2',
+        'pollinate:2:3', 'collect:2:3', 'collect:0:2', 'pollinate:1:0', 'collect:1:0'
+    ]);
+    assertEqual(sim.pollinatedCount, 3);
+});
+
+test('two runs with the same seed stay identical', () => {
+    const first = createPollinationSim({ flowers: SIM_FLOWERS, beeCount: 3, seed: 7 });
+    const second = createPollinationSim({ flowers: SIM_FLOWERS, beeCount: 3, seed: 7 });
+    assertEqual(runSim(first, 600), runSim(second, 600));
+    assertEqual(first.pollinatedCount, second.pollinatedCount);
+    assertEqual(first.bees, second.bees, "Bee states differ");
+});
+
+test('bees only visit flowers of the open spread', () => {
+    const sim = createPollinationSim({ flowers: SIM_FLOWERS, beeCount: 3, seed: 42 });
+    const visited = runSim(sim, 600).map(event => Number(event.split(':')[2]));
+    assert(visited.every(id => SIM_FLOWERS[id].spread === 0), `Visited ${visited}`);
+
+    setPollinationSpread(sim, 1);
+    assert(sim.bees.every(bee => bee.pollen === null), "Pollen carried over to another spread");
+    const later = runSim(sim, 600).map(event => Number(event.split(':')[2]));
+    assert(later.length > 0 && later.every(id => SIM_FLOWERS[id].spread === 1), `Visited ${later}`);
+});
+
+test('a flower is pollinated once, by pollen from another flower', () => {
+    const sim = createPollinationSim({ flowers: SIM_FLOWERS, beeCount: 5, seed: 3 });
+    const pollinated = runSim(sim, 900).filter(event => event.startsWith('pollinate'));
+    const flowers = pollinated.map(event => event.split(':')[2]);
+    assertEqual(new Set(flowers).size, flowers.length, "A flower was pollinated twice");
+    assertEqual(sim.pollinatedCount, flowers.length);
+    assertEqual(sim.flowers.filter(flower => flower.pollinated).length, flowers.length);
+});
+
+test('bees circle when the spread has no flowers', () => {
+    const sim = createPollinationSim({ flowers: SIM_FLOWERS, beeCount: 2, seed: 42, spread: 2 });
+    assert(sim.bees.every(bee => bee.state === 'idle'), "Bees picked a flower");
+    assertEqual(runSim(sim, 60), []);
+});
@@ -0,0 +1,63 @@
+// --- Test Runner ---
+// A very small runner for tests/index.html. Test files register cases with
+// test(); they run in order once the page has loaded. Results are listed on
+// the page and summed up in the title ("PASS 12" or "FAIL 2 of 12"), so a
+// headless browser only has to read document.title.
+const testCases = [];
+
+function test(name, fn) {
+    testCases.push({ name, fn });
+}
+
+class AssertionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AssertionError';
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new AssertionError(message || "Assertion failed");
+}
+
+// Compares by JSON, which covers the plain data the tests look at
+function assertEqual(actual, expected, message) {
+    const actualJson = JSON.stringify(actual);
+    const expectedJson = JSON.stringify(expected);
+    if (actualJson !== expectedJson) {
+        throw new AssertionError(`${message || "Values differ"}: expected ${expectedJson}, got ${actualJson}`);
+    }
+}
+
+async function assertRejects(promise, check, message) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(check(error), `${message || "Wrong error"}: ${error}`);
+        return;
+    }
+    throw new AssertionError(message || "Expected a rejection");
+}
+
+async function runTests() {
+    const listEl = document.getElementById('results');
+    let failed = 0;
+    for (const { name, fn } of testCases) {
+        const item = document.createElement('li');
+        try {
+            await fn();
+            item.className = 'pass';
+            item.textContent = `✔ ${name}`;
+        } catch (error) {
+            failed++;
+            item.className = 'fail';
+            item.textContent = `✘ ${name}: ${error.message}`;
+            console.error(name, error);
+        }
+        listEl.appendChild(item);
+    }
+    document.title = failed > 0 ? `FAIL ${failed} of ${testCases.length}` : `PASS ${testCases.length}`;
+    document.body.dataset.result = failed > 0 ? 'fail' : 'pass';
+}
+
+window.addEventListener('load', runTests);
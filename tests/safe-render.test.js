@@ -0,0 +1,133 @@
+// --- Safe Rendering: malicious payloads ---
+// Each payload tries to run `window.payloadRan = true`. The rendered output
+// is attached to the page (so handlers would fire) and then searched for
+// anything that could run script.
+
+// renderSpeciesCard() takes its labels from the catalog in main.js; the key is enough here
+function t(key) {
+    return key;
+}
+
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'srcdoc'];
+const SCRIPT_TAGS = ['script', 'iframe', 'frame', 'object', 'embed', 'svg', 'math', 'img', 'style', 'link', 'meta', 'base', 'form'];
+
+// Lists everything in `root` that could execute: script-capable elements,
+// event handler or style attributes, and URLs that are not http(s) or mailto
+function findUnsafe(root) {
+    const problems = [];
+    root.querySelectorAll('*').forEach(el => {
+        const tag = el.tagName.toLowerCase();
+        if (SCRIPT_TAGS.includes(tag)) problems.push(`<${tag}>`);
+        Array.from(el.attributes).forEach(attr => {
+            const name = attr.name.toLowerCase();
+            if (name.startsWith('on') || name === 'style') problems.push(`${tag}[${name}]`);
+            if (URL_ATTRIBUTES.includes(name) && !/^(https?:|mailto:)/i.test(attr.value.trim())) {
+                problems.push(`${tag}[${name}="${attr.value}"]`);
+            }
+        });
+    });
+    return problems;
+}
+
+// Attaches `node` to the sandbox long enough for loads and handlers to fire
+async function mountAndCheck(node) {
+    window.payloadRan = false;
+    const sandbox = document.getElementById('sandbox');
+    const holder = document.createElement('div');
+    holder.appendChild(node);
+    sandbox.appendChild(holder);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    holder.querySelectorAll('a').forEach(link => link.click());
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const problems = findUnsafe(holder);
+    holder.remove();
+    assertEqual(problems, [], "Unsafe markup survived");
+    assert(window.payloadRan === false, "Payload script ran");
+}
+
+const HTML_PAYLOADS = {
+    'script element': '<script>window.payloadRan = true</script>',
+    'img onerror': '<img src="x" onerror="window.payloadRan = true">',
+    'javascript: href': '<a href="javascript:window.payloadRan = true">link</a>',
+    'data: href': '<a href="data:text/html,<script>parent.payloadRan = true</script>">link</a>',
+    'svg onload': '<svg onload="window.payloadRan = true"><circle r="5"></circle></svg>',
+    'script inside svg': '<svg><script>window.payloadRan = true</script></svg>',
+    'iframe srcdoc': '<iframe srcdoc="<script>parent.payloadRan = true</script>"></iframe>',
+    'mixed-case scheme': '<a href="JaVaScRiPt:window.payloadRan = true">link</a>',
+    'entity-encoded scheme': '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;:window.payloadRan = true">link</a>',
+    'hex entities and tab in scheme': '<a href="&#x6A;ava&#x09;script:window.payloadRan = true">link</a>',
+    'leading whitespace scheme': '<a href="  javascript:window.payloadRan = true">link</a>',
+    'handler on allowed tag': '<p onclick="window.payloadRan = true" style="color:red">text</p>',
+    'handler on unwrapped tag': '<div onmouseover="window.payloadRan = true"><span onfocus="window.payloadRan = true">text</span></div>',
+    'mutation XSS': '<math><mtext><table><mglyph><style><img src=x onerror="window.payloadRan = true">',
+    'form action': '<form action="javascript:window.payloadRan = true"><button>go</button></form>',
+    'object data': '<object data="javascript:window.payloadRan = true"></object>'
+};
+
+Object.entries(HTML_PAYLOADS).forEach(([name, payload]) => {
+    test(`sanitizeHtml: ${name}`, () => mountAndCheck(sanitizeHtml(payload)));
+});
+
+test('sanitizeHtml drops script inside svg and math instead of showing its source', async () => {
+    ['<svg><script>window.payloadRan = true</script></svg>',
+        '<p>before</p><math><script>window.payloadRan = true</script></math><p>after</p>',
+        '<svg><g><title>t</title><script>window.payloadRan = true</script></g></svg>'].forEach(payload => {
+        const holder = document.createElement('div');
+        holder.appendChild(sanitizeHtml(payload));
+        assert(!holder.textContent.includes('payloadRan'), `Script source shown: ${holder.textContent}`);
+    });
+    const holder = document.createElement('div');
+    holder.appendChild(sanitizeHtml('<p>before</p><svg><script>window.payloadRan = true</script></svg><p>after</p>'));
+    assertEqual(holder.innerHTML, '<p>before</p><p>after</p>');
+});
+
+const MARKDOWN_PAYLOADS = {
+    'javascript: link': '[click me](javascript:window.payloadRan=true)',
+    'data: link': '[click me](data:text/html;base64,PHNjcmlwdD5wYXJlbnQucGF5bG9hZFJhbj10cnVlPC9zY3JpcHQ+)',
+    'mixed-case link': '[click me](JAVAscript:window.payloadRan=true)',
+    'encoded link': '[click me](&#106;avascript:window.payloadRan=true)',
+    'image onerror': '![x](x" onerror="window.payloadRan=true)',
+    'raw html in markdown': 'Bees **dance**.\n\n<img src="x" onerror="window.payloadRan = true">\n\n<script>window.payloadRan = true</script>',
+    'autolink': '<javascript:window.payloadRan=true>'
+};
+
+Object.entries(MARKDOWN_PAYLOADS).forEach(([name, payload]) => {
+    test(`renderMarkdown: ${name}`, () => {
+        const el = document.createElement('div');
+        renderMarkdown(el, payload);
+        return mountAndCheck(el);
+    });
+});
+
+test('renderMarkdown keeps plain formatting and safe links', () => {
+    const el = document.createElement('div');
+    renderMarkdown(el, '**Bees** _dance_\n\n- one\n- two\n\n[more](https://example.org/bees)');
+    assert(el.querySelector('strong').textContent === 'Bees', "Bold text lost");
+    assert(el.querySelector('em').textContent === 'dance', "Italic text lost");
+    assertEqual(el.querySelectorAll('li').length, 2, "List items lost");
+    const link = el.querySelector('a');
+    assertEqual(link.getAttribute('href'), 'https://example.org/bees', "Safe link changed");
+    assertEqual(link.getAttribute('rel'), 'noopener noreferrer nofollow', "Link rel missing");
+});
+
+test('renderSpeciesCard inserts HTML in any field as text', async () => {
+    const payload = '<img src="x" onerror="window.payloadRan = true">';
+    const data = {
+        icon: '<svg onload="window.payloadRan = true">',
+        name: payload,
+        latinName: '<script>window.payloadRan = true</script>',
+        order: payload,
+        family: payload,
+        activeTime: 'diurnal',
+        conservationStatus: 'LC',
+        habitat: '<iframe srcdoc="<script>parent.payloadRan = true</script>"></iframe>',
+        pollinates: [payload, '<a href="javascript:window.payloadRan = true">flower</a>'],
+        description: payload
+    };
+    const card = renderSpeciesCard(data, payload);
+    const holder = document.createElement('div');
+    holder.appendChild(card);
+    assert(holder.querySelector('h3').textContent === payload, "Name not shown as text");
+    assert(holder.textContent.includes('<iframe srcdoc='), "Habitat not shown as text");
+    await mountAndCheck(holder);
+});
@@ -0,0 +1,105 @@
+// --- Speech Adapter ---
+// Drives createBrowserSpeechAdapter() with a fake window: the fake
+// recognition only records what was set up, and each test plays the events a
+// browser would send.
+
+// A window with the speech APIs; `recognitions` and `spoken` record their use
+function createFakeSpeechWindow() {
+    const win = { recognitions: [], spoken: [], cancelled: 0 };
+
+    win.SpeechRecognition = class {
+        constructor() {
+            this.started = false;
+            this.stopped = false;
+            win.recognitions.push(this);
+        }
+        start() { this.started = true; }
+        stop() { this.stopped = true; }
+    };
+    win.SpeechSynthesisUtterance = class {
+        constructor(text) { this.text = text; }
+    };
+    win.speechSynthesis = {
+        speak(utterance) { win.spoken.push(utterance); },
+        cancel() { win.cancelled++; }
+    };
+    return win;
+}
+
+// The shape of SpeechRecognitionEvent.results: a list of alternatives per phrase
+function recognitionResults(...phrases) {
+    return { results: phrases.map(transcript => [{ transcript }]) };
+}
+
+test('speech adapter reports what the window supports', () => {
+    const adapter = createBrowserSpeechAdapter(createFakeSpeechWindow());
+    assert(adapter.canListen() && adapter.canSpeak(), "Fake APIs not detected");
+
+    const bare = createBrowserSpeechAdapter({});
+    assert(!bare.canListen() && !bare.canSpeak(), "Missing APIs reported as present");
+});
+
+test('listen() resolves with the final transcript', async () => {
+    const win = createFakeSpeechWindow();
+    const interim = [];
+    const listening = createBrowserSpeechAdapter(win).listen({ lang: 'en-US', onInterim: text => interim.push(text) });
+
+    const recognition = win.recognitions[0];
+    assert(recognition.started, "Recognition not started");
+    assertEqual(recognition.lang, 'en-US');
+    recognition.onresult(recognitionResults('Why do '));
+    recognition.onresult(recognitionResults('Why do ', 'bees dance? '));
+    recognition.onend();
+
+    assertEqual(await listening, 'Why do bees dance?');
+    assertEqual(interim, ['Why do ', 'Why do bees dance? ']);
+});
+
+test('listen() resolves empty when nothing was heard', async () => {
+    const win = createFakeSpeechWindow();
+    const listening = createBrowserSpeechAdapter(win).listen({ lang: 'zh-TW' });
+
+    const recognition = win.recognitions[0];
+    recognition.onerror({ error: 'no-speech' });
+    recognition.onend();
+    assertEqual(await listening, '');
+});
+
+test('listen() rejects with the error code when the microphone is blocked', async () => {
+    const win = createFakeSpeechWindow();
+    const listening = createBrowserSpeechAdapter(win).listen({ lang: 'en-US' });
+
+    const recognition = win.recognitions[0];
+    recognition.onerror({ error: 'not-allowed' });
+    recognition.onend();
+    await assertRejects(listening, error => error instanceof SpeechInputError && error.code === 'not-allowed');
+});
+
+test('aborting listen() stops recognition and keeps the words so far', async () => {
+    const win = createFakeSpeechWindow();
+    const controller = new AbortController();
+    const listening = createBrowserSpeechAdapter(win).listen({ lang: 'en-US', signal: controller.signal });
+
+    const recognition = win.recognitions[0];
+    recognition.onresult(recognitionResults('Hawkmoths'));
+    controller.abort();
+    assert(recognition.stopped, "Recognition not stopped");
+    recognition.onerror({ error: 'aborted' });
+    recognition.onend();
+    assertEqual(await listening, 'Hawkmoths');
+});
+
+test('speak() reads the words of a markdown answer', () => {
+    const win = createFakeSpeechWindow();
+    let ended = false;
+    const text = stripMarkdown('## Bee dances\n\n**Waggle** dances point to _food_.\n\n- [Source](https://example.org)\n- `code`');
+    createBrowserSpeechAdapter(win).speak(text, { lang: 'en-US', onEnd: () => { ended = true; } });
+
+    assertEqual(win.spoken.length, 1);
+    const utterance = win.spoken[0];
+    assertEqual(utterance.text, 'Bee dances Waggle dances point to food. Source code');
+    assertEqual(utterance.lang, 'en-US');
+    assertEqual(win.cancelled, 1, "Earlier speech not cancelled");
+    utterance.onend();
+    assert(ended, "onEnd not called");
+});